@@ -97,6 +97,39 @@ export function updateSchedulerSubdivision(subdivision) {
   sendToScheduler('setSubdivision', { subdivision });
 }
 
+/**
+ * Ramp the scheduler's tempo, starting from the current tempo and position
+ * @param {Array<{bpm: number, bars: number}>} ramps - Each reaches `bpm` over `bars` bars (0 bars jumps)
+ */
+export function updateSchedulerTempoMap(ramps) {
+  sendToScheduler('setTempoMap', { ramps });
+}
+
+/**
+ * Move the scheduler to a global step (playing, paused or stopped)
+ * @param {number} globalStep - Step to continue from
+ */
+export function seekScheduler(globalStep) {
+  sendToScheduler('seek', { globalStep });
+}
+
+/**
+ * Loop a range of the pattern cycle
+ * @param {{start: number, end: number, cycle: number}|null} loop - Steps [start, end) of each
+ *   cycle-step cycle, or null to play straight through
+ */
+export function updateSchedulerLoop(loop) {
+  sendToScheduler('setLoop', { loop });
+}
+
+/**
+ * Update how far ahead the scheduler publishes steps
+ * @param {number} lookahead - Lookahead in seconds
+ */
+export function updateSchedulerLookahead(lookahead) {
+  sendToScheduler('setLookahead', { lookahead });
+}
+
 /**
  * Update the pattern lengths in the scheduler
  * @param {number} notePatternLength - Number of steps in note pattern
@@ -113,6 +146,37 @@ export function updateSchedulerPatterns(notePatternLength, phonemePatternLength,
   });
 }
 
+/**
+ * Register a lane in the scheduler, or update an existing one without moving it
+ * @param {string} name - Lane name; its steps arrive as `laneStep` messages with this name
+ * @param {Object} lane - Lane settings
+ * @param {number} lane.length - Steps in the lane
+ * @param {number} [lane.steps=1] - Lane steps per `per` global steps (e.g. 3 against 4)
+ * @param {number} [lane.per=1] - Global steps the lane's `steps` span
+ * @param {number} [lane.offset=0] - Lane steps to shift the lane by
+ */
+export function setSchedulerLane(name, { length, steps = 1, per = 1, offset = 0 }) {
+  sendToScheduler('setLane', { name, length, steps, per, offset });
+}
+
+/**
+ * Apply a groove to a scheduler lane, shifting its steps off the grid
+ * @param {string} name - Lane name
+ * @param {{offsets: number[], lengths: number[]|null}|null} groove - Per-step offsets and lengths in
+ *   lane steps, repeating on their own length; null plays the lane straight
+ */
+export function updateSchedulerGroove(name, groove) {
+  sendToScheduler('setGroove', { lane: name, groove });
+}
+
+/**
+ * Remove a lane from the scheduler
+ * @param {string} name - Lane name
+ */
+export function removeSchedulerLane(name) {
+  sendToScheduler('removeLane', { name });
+}
+
 /**
  * Cleanup the scheduler (for hot reloading or cleanup)
  */
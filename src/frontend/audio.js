@@ -7,7 +7,8 @@ import {
     isFormantSynthReady,
     setFormantActive 
 } from './formant-synth-service.js';
-import { updateFrequencyParam, updateVowelParam } from './parameter-coordinator.js';
+import { updateFrequencyParam, updateVowelParam, updateGeneralParam } from './parameter-coordinator.js';
+import { edoStepFrequency } from './note-names.js';
 
 // Audio context initialization
 export const audioContext = new (window.AudioContext || window.webkitAudioContext)();
@@ -56,6 +57,11 @@ export function getRootFrequency() {
     const mode = document.getElementById("rootMode").value;
     if (mode === "hz") {
         return parseFloat(document.getElementById("rootFreq").value);
+    } else if (mode === "name") {
+        // Root named in the current EDO, counted in steps from C4
+        const step = parseInt(document.getElementById("rootName").value);
+        const edo = parseInt(document.getElementById("edoValue").textContent);
+        return edoStepFrequency(step, edo);
     } else {
         const midiNote = parseInt(document.getElementById("rootMidi").value);
         return midiToFreq(midiNote);
@@ -215,14 +221,15 @@ export function calculatePortamentoTime(appState, step) {
 }
 
 // Real-time vowel updates for synthesizer
-export function updateSynthVowel(appState, vowelPosition, rampTime = 0.005) {
+// startTime (audio time) schedules the change ahead, as sent by the lookahead scheduler
+export function updateSynthVowel(appState, vowelPosition, rampTime = 0.005, startTime = null) {
     if (!vowelPosition) return;
     
     const { x: vowelX, y: vowelY } = vowelPosition;
     
     // Update mono oscillator if active (works for both formant and zing synths)
     if (appState.playback.monoOsc && appState.playback.monoOsc.setVowel && typeof appState.playback.monoOsc.setVowel === 'function') {
-        appState.playback.monoOsc.setVowel(vowelX, vowelY, rampTime);
+        appState.playback.monoOsc.setVowel(vowelX, vowelY, rampTime, startTime);
     }
     
     // Update formant synthesis parameters
@@ -231,13 +238,36 @@ export function updateSynthVowel(appState, vowelPosition, rampTime = 0.005) {
     }
 }
 
+// Gate the synth gain for a grooved step: open at its start, close after its length (seconds).
+// The next step opening the gate cancels a close that would land after it.
+function gateMonoStep(appState, step, startTime, length) {
+    const gainParam = appState.playback.monoOsc.node?.parameters?.get('gain');
+    if (!gainParam || startTime === null) return;
+
+    // Leave the gain alone until a groove first gives a step a length
+    if (length === null && appState.playback.gateLevel === null) return;
+    if (appState.playback.gateLevel === null) {
+        appState.playback.gateLevel = gainParam.value;
+    }
+
+    // A gate still open (legato, or closing within a millisecond) is held without a fade-in
+    const closeTime = appState.playback.gateCloseTime;
+    const isOpen = closeTime === null || startTime <= closeTime + 0.001;
+    updateGeneralParam(gainParam, appState.playback.gateLevel, isOpen ? 0 : 0.005, `gate-on-step${step}`, startTime);
+    if (length !== null) {
+        updateGeneralParam(gainParam, 0, 0.01, `gate-off-step${step}`, startTime + length);
+    }
+    appState.playback.gateCloseTime = length !== null ? startTime + length : null;
+}
+
 // Audio step trigger functions (moved from state.js)
-export function triggerMonoStep(appState, step, freq) {
+// startTime is the step's audio time from the lookahead scheduler; null starts the glide now.
+// length (seconds) comes from a groove with step lengths; null lets the note hold until the next one
+export function triggerMonoStep(appState, step, freq, startTime = null, length = null) {
     if (!appState.playback.monoOsc) return;
 
     const previousFreq = appState.playback.currentMonoFreq;
     const hasPortamento = appState.playback.sequencePattern.portamento[step];
-    const now = window.audioContext.currentTime;
 
     // Get the frequency parameter from the new synthesizer manager interface
     let frequencyParam = null;
@@ -264,11 +294,13 @@ export function triggerMonoStep(appState, step, freq) {
     
     // Use parameter coordinator for all frequency changes
     if (portamentoTime > 0) {
-        updateFrequencyParam(frequencyParam, freq, portamentoTime, `portamento-step${step}`);
+        updateFrequencyParam(frequencyParam, freq, portamentoTime, `portamento-step${step}`, startTime);
     } else {
-        updateFrequencyParam(frequencyParam, freq, 0, `direct-step${step}`);
+        updateFrequencyParam(frequencyParam, freq, 0, `direct-step${step}`, startTime);
     }
     
+    gateMonoStep(appState, step, startTime, length);
+    
     // Finally, update the application's state with the new target frequency.
     // This will be used as the starting point for the *next* step.
     appState.playback.currentMonoFreq = freq;
@@ -278,21 +310,38 @@ export function triggerMonoStep(appState, step, freq) {
 // Main sequence playback function using AudioWorklet scheduler
 import { switchToSynthesizer, stopCurrentSynthesizer } from './synthesizer-manager.js';
 
+// Silence the synthesizer and reset the play button (shared by pause and stop)
+function haltPlayback(appState) {
+    const button = document.getElementById("playSequence");
+    appState.playback.isPlaying = false;
+    button.textContent = "|>";
+    button.classList.remove("playing");
+
+    // Clean shutdown with new system
+    stopCurrentSynthesizer();
+    appState.playback.monoOsc = null;
+    appState.playback.currentMonoFreq = null;
+    appState.playback.gateLevel = null;
+    appState.playback.gateCloseTime = null;
+}
+
+// Stop playback; the next play starts from the beginning
+export function stopSequence(appState) {
+    if (isSchedulerReady()) sendToScheduler('stop');
+    appState.playback.isPaused = false;
+    haltPlayback(appState);
+}
+
 // Simplified sequence playback using the new synthesizer manager
+// Toggles play/pause; resuming continues from the paused (or seeked) position
 export async function playSequence(appState, generateSequencePattern, updateSequenceVisualization) {
     const button = document.getElementById("playSequence");
     
-    // --- STOP LOGIC ---
+    // --- PAUSE LOGIC ---
     if (appState.playback.isPlaying) {
-        sendToScheduler('stop');
-        appState.playback.isPlaying = false;
-        button.textContent = "|>";
-        button.classList.remove("playing");
-
-        // Clean shutdown with new system
-        stopCurrentSynthesizer();
-        appState.playback.monoOsc = null;
-        appState.playback.currentMonoFreq = null;
+        sendToScheduler('pause');
+        appState.playback.isPaused = true;
+        haltPlayback(appState);
         return;
     }
 
@@ -348,13 +397,15 @@ export async function playSequence(appState, generateSequencePattern, updateSequ
         if (audioContext.state === 'suspended') await audioContext.resume();
         
         if (isSchedulerReady()) {
-            sendToScheduler('play', {
+            sendToScheduler(appState.playback.isPaused ? 'resume' : 'play', {
                 notePatternLength: appState.playback.sequencePattern.steps.length,
                 phonemePatternLength: appState.playback.phonemePattern.vowels.length,
                 bpm: appState.params.bpm,
-                subdivision: appState.params.subdivision
+                subdivision: appState.params.subdivision,
+                lookahead: appState.params.lookahead / 1000
             });
             appState.playback.isPlaying = true;
+            appState.playback.isPaused = false;
             button.textContent = "||";
         } else {
             throw new Error("AudioWorklet scheduler not ready.");
@@ -20,6 +20,17 @@ export function gcd(a, b) {
     return a;
 }
 
+/**
+ * Least Common Multiple
+ * @param {number} a - First number
+ * @param {number} b - Second number
+ * @returns {number} The LCM of a and b
+ */
+export function lcm(a, b) {
+    if (a === 0 || b === 0) return 0;
+    return Math.abs(a * b) / gcd(a, b);
+}
+
 /**
  * Generate a Euclidean rhythm pattern using Björklund's algorithm
  * 
@@ -179,4 +190,779 @@ export function convergents(cf) {
     }
     
     return convs;
-}
\ No newline at end of file
+}
+
+/**
+ * Create a deterministic pseudo-random generator from a seed
+ * 
+ * Uses the same linear congruential generator as the rest of the application,
+ * so patterns built from a given `randomSeed` are reproducible everywhere.
+ * 
+ * @param {number} seed - Initial seed value
+ * @returns {function(): number} Function returning values in [0, 1)
+ */
+export function createSeededRandom(seed) {
+    let currentSeed = seed;
+    return function seededRandom() {
+        currentSeed = (currentSeed * 1664525 + 1013904223) % (2**32);
+        return currentSeed / (2**32);
+    };
+}
+
+/**
+ * Generate a maximally-even pattern using the Bresenham / Clough–Douthett construction
+ * 
+ * Places pulse `i` at `floor(i * steps / pulses)`. The result is always a rotation of
+ * the Björklund pattern, but it is the form found in the music-theory literature on
+ * maximally-even sets (Clough & Douthett's J-function).
+ * 
+ * @param {number} pulses - Number of pulses to distribute
+ * @param {number} steps - Total number of steps in the pattern
+ * @returns {boolean[]} Boolean pattern
+ * 
+ * @example
+ * bresenhamRhythm(3, 8) // Returns [true, false, true, false, false, true, false, false]
+ */
+export function bresenhamRhythm(pulses, steps) {
+    if (pulses > steps) return [];
+    const pattern = new Array(steps).fill(false);
+    for (let i = 0; i < pulses; i++) {
+        pattern[Math.floor((i * steps) / pulses)] = true;
+    }
+    return pattern;
+}
+
+/**
+ * Generate a Christoffel (Sturmian) word of slope pulses/steps
+ * 
+ * Step `i` is a pulse when the line y = (pulses / steps) * x crosses an integer between
+ * x = i and x = i + 1. The lower word ends on its pulse, the upper word starts on it;
+ * both are rotations of the same maximally-even necklace.
+ * 
+ * @param {number} pulses - Number of pulses to distribute
+ * @param {number} steps - Total number of steps in the pattern
+ * @param {boolean} upper - Use the upper Christoffel word instead of the lower one
+ * @returns {boolean[]} Boolean pattern
+ * 
+ * @example
+ * christoffelRhythm(3, 8)       // Returns [false, false, true, false, false, true, false, true]
+ * christoffelRhythm(3, 8, true) // Returns [true, false, true, false, false, true, false, false]
+ */
+export function christoffelRhythm(pulses, steps, upper = false) {
+    if (pulses > steps) return [];
+    const pattern = [];
+    for (let i = 0; i < steps; i++) {
+        const crossing = upper
+            ? Math.ceil(((i + 1) * pulses) / steps) - Math.ceil((i * pulses) / steps)
+            : Math.floor(((i + 1) * pulses) / steps) - Math.floor((i * pulses) / steps);
+        pattern.push(crossing > 0);
+    }
+    return pattern;
+}
+
+/**
+ * Generate a "deep" rhythm by stacking a generator interval
+ * 
+ * Places pulses at 0, g, 2g, ... (mod steps). When `generator` is coprime with `steps`
+ * and pulses <= floor(steps / 2) + 1, every interval occurs a distinct number of times
+ * (Erdős deep property), like the diatonic scale built from stacked fifths.
+ * 
+ * @param {number} pulses - Number of pulses to place
+ * @param {number} steps - Total number of steps in the pattern
+ * @param {number} [generator] - Stacked interval; defaults to the largest value
+ *   below steps / 2 that is coprime with steps
+ * @returns {boolean[]} Boolean pattern
+ * 
+ * @example
+ * deepRhythm(7, 12) // Stacks fifths of 5 steps: the diatonic scale
+ */
+export function deepRhythm(pulses, steps, generator) {
+    if (pulses > steps) return [];
+    const pattern = new Array(steps).fill(false);
+    if (steps === 0) return pattern;
+
+    let g = generator;
+    if (!g) {
+        g = 1;
+        for (let candidate = Math.ceil(steps / 2) - 1; candidate > 1; candidate--) {
+            if (gcd(candidate, steps) === 1) {
+                g = candidate;
+                break;
+            }
+        }
+    }
+
+    // Stack the generator, skipping occupied steps if it is not coprime with steps
+    let position = 0;
+    let placed = 0;
+    while (placed < pulses) {
+        let candidate = position;
+        while (pattern[candidate]) {
+            candidate = (candidate + 1) % steps;
+        }
+        pattern[candidate] = true;
+        placed++;
+        position = (candidate + g) % steps;
+    }
+    return pattern;
+}
+
+/**
+ * Generate a random pattern with an exact pulse density
+ * 
+ * Picks `pulses` distinct steps with the seeded generator, so the same seed
+ * always yields the same pattern.
+ * 
+ * @param {number} pulses - Number of pulses to place
+ * @param {number} steps - Total number of steps in the pattern
+ * @param {number} seed - Random seed
+ * @returns {boolean[]} Boolean pattern
+ */
+export function randomRhythm(pulses, steps, seed = 12345) {
+    if (pulses > steps) return [];
+    const pattern = new Array(steps).fill(false);
+    const available = [...Array(steps).keys()];
+    const seededRandom = createSeededRandom(seed);
+
+    for (let i = 0; i < pulses; i++) {
+        const randomIndex = Math.floor(seededRandom() * available.length);
+        pattern[available[randomIndex]] = true;
+        available.splice(randomIndex, 1);
+    }
+    return pattern;
+}
+
+/**
+ * Golden-ratio density (1/φ ≈ 0.618 pulses per step)
+ */
+export const GOLDEN_DENSITY = (Math.sqrt(5) - 1) / 2;
+
+/**
+ * Normalise a ratio to a pulse density in [0, 1]
+ * 
+ * Ratios above 1 (such as φ or √2) are inverted, so both φ and 1/φ describe the
+ * same golden rhythm.
+ * 
+ * @param {number} ratio - Any positive real number
+ * @returns {number} Pulses per step
+ */
+function ratioToDensity(ratio) {
+    if (!(ratio > 0)) return 0;
+    return ratio > 1 ? 1 / ratio : ratio;
+}
+
+/**
+ * Parse a user-typed ratio: decimals, fractions, "phi"/"φ", "sqrt2"/"√2"
+ * 
+ * @param {string} text - Ratio as typed by the user
+ * @returns {number} Parsed value, or NaN if it cannot be read
+ * 
+ * @example
+ * parseRatio("phi")  // 1.618...
+ * parseRatio("√2")   // 1.414...
+ * parseRatio("5/8")  // 0.625
+ */
+export function parseRatio(text) {
+    const value = String(text).trim().toLowerCase();
+    if (value === "phi" || value === "φ" || value === "golden") {
+        return (1 + Math.sqrt(5)) / 2;
+    }
+    const root = value.match(/^(?:sqrt|√)\(?\s*([\d.]+)\s*\)?$/);
+    if (root) return Math.sqrt(parseFloat(root[1]));
+    const fraction = value.match(/^([\d.]+)\s*\/\s*([\d.]+)$/);
+    if (fraction) return parseFloat(fraction[1]) / parseFloat(fraction[2]);
+    return value === "" ? NaN : Number(value);
+}
+
+/**
+ * Generate the characteristic Sturmian word for a density
+ * 
+ * Step `i` is a pulse when floor((i + 2)α) - floor((i + 1)α) = 1. For irrational α
+ * the infinite word never repeats; every finite prefix is as even as possible.
+ * 
+ * @param {number} ratio - Pulse density (ratios above 1 are inverted)
+ * @param {number} steps - Number of steps to generate
+ * @returns {boolean[]} Boolean pattern
+ * 
+ * @example
+ * characteristicWord(GOLDEN_DENSITY, 8) // Returns [true, false, true, true, false, true, false, true]
+ */
+export function characteristicWord(ratio, steps) {
+    const alpha = ratioToDensity(ratio);
+    const pattern = [];
+    for (let i = 0; i < steps; i++) {
+        pattern.push(Math.floor((i + 2) * alpha) - Math.floor((i + 1) * alpha) > 0);
+    }
+    return pattern;
+}
+
+/**
+ * Read one step of the characteristic Sturmian word
+ * 
+ * Lets a lane play the word by its running step count instead of looping a slice.
+ * 
+ * @param {number} ratio - Pulse density (ratios above 1 are inverted)
+ * @param {number} index - Step of the word (0 or more)
+ * @returns {boolean} Whether the step is a pulse
+ * 
+ * @example
+ * sturmianStep(GOLDEN_DENSITY, 3) // Returns true, as characteristicWord(GOLDEN_DENSITY, 8)[3]
+ */
+export function sturmianStep(ratio, index) {
+    const alpha = ratioToDensity(ratio);
+    return Math.floor((index + 2) * alpha) - Math.floor((index + 1) * alpha) > 0;
+}
+
+/**
+ * List the Sturmian patterns of every convergent of a density
+ * 
+ * Builds the standard words s(n) = s(n-1)^a(n) s(n-2) from the continued fraction
+ * [0; a1, a2, ...] of the density. The pattern for convergent p/q has p pulses in
+ * q steps and is a prefix of the characteristic word.
+ * 
+ * @param {number} ratio - Pulse density (ratios above 1 are inverted)
+ * @param {number} maxLength - Longest pattern to return
+ * @returns {Array<{pulses: number, steps: number, pattern: boolean[]}>} Convergent patterns, shortest first
+ * 
+ * @example
+ * sturmianConvergents(GOLDEN_DENSITY, 8).map(c => `${c.pulses}/${c.steps}`)
+ * // Returns ["1/1", "1/2", "2/3", "3/5", "5/8"]
+ */
+export function sturmianConvergents(ratio, maxLength = 64) {
+    const alpha = ratioToDensity(ratio);
+    if (alpha === 0) return [];
+    if (alpha === 1) return [{ pulses: 1, steps: 1, pattern: [true] }];
+
+    const cf = continuedFraction(alpha, 1, 32);
+    const convs = convergents(cf);
+
+    // s(-1) = pulse, s(0) = rest
+    let previous = [true];
+    let current = [false];
+    const result = [];
+
+    for (let n = 1; n < cf.length; n++) {
+        const [pulses, steps] = convs[n];
+        if (steps > maxLength) break;
+
+        const repeats = n === 1 ? cf[n] - 1 : cf[n];
+        const next = [];
+        for (let r = 0; r < repeats; r++) next.push(...current);
+        next.push(...previous);
+
+        result.push({ pulses, steps, pattern: next });
+        previous = current;
+        current = next;
+    }
+    return result;
+}
+
+/**
+ * Generate a quasi-periodic rhythm from any real density
+ * 
+ * Without a maximum length this is the first `steps` steps of the characteristic
+ * word; a pattern that is looped repeats every `steps` steps like any other, so
+ * lanes that should never repeat read the word with sturmianStep instead. With a
+ * maximum length, the longest convergent pattern that fits is looped, giving the
+ * closest periodic approximation.
+ * 
+ * @param {number} ratio - Pulse density (e.g. GOLDEN_DENSITY, Math.SQRT2, 0.3)
+ * @param {number} steps - Number of steps to generate
+ * @param {number} maxLength - Longest period to allow (0 for none)
+ * @returns {boolean[]} Boolean pattern
+ */
+export function sturmianRhythm(ratio, steps, maxLength = 0) {
+    if (!maxLength) return characteristicWord(ratio, steps);
+
+    const available = sturmianConvergents(ratio, maxLength);
+    if (available.length === 0) return characteristicWord(ratio, steps);
+
+    const period = available[available.length - 1].pattern;
+    return Array.from({ length: steps }, (_, i) => period[i % period.length]);
+}
+
+/**
+ * Longest cyclic run of identical steps (pulses or rests)
+ * 
+ * @param {boolean[]} pattern - Boolean pattern
+ * @returns {number} Length of the longest run, wrapping around the end
+ */
+export function longestRun(pattern) {
+    if (pattern.length === 0) return 0;
+    if (pattern.every((step) => step === pattern[0])) return pattern.length;
+
+    // Start counting just after a change so no run is split by the wrap-around
+    let start = pattern.findIndex((step, i) => step !== pattern[(i + pattern.length - 1) % pattern.length]);
+    let longest = 0;
+    let run = 0;
+    for (let i = 0; i < pattern.length; i++) {
+        const index = (start + i) % pattern.length;
+        const previous = (index + pattern.length - 1) % pattern.length;
+        run = i > 0 && pattern[index] === pattern[previous] ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    }
+    return longest;
+}
+
+/**
+ * Enumerate every distinct binary necklace with `pulses` pulses in `steps` steps
+ * 
+ * Uses the FKM (Fredricksen–Kessler–Maiorana) algorithm on interval sequences,
+ * so each rotation class is produced once, in its canonical form (starting on a
+ * pulse, smallest first interval). Results can be filtered; `limit` bounds the work
+ * for large sizes (e.g. 12 pulses in 24 steps has over 100,000 necklaces).
+ * Analysis-based filters (evenness, deep rhythms) come in as predicates, so this
+ * module does not depend on rhythm-analysis.js.
+ * 
+ * @param {number} pulses - Number of pulses
+ * @param {number} steps - Pattern length
+ * @param {Object} filters - Optional filters
+ * @param {number} [filters.maxRun] - Longest allowed run of pulses or rests
+ * @param {Array<function(boolean[]): boolean>} [filters.predicates] - Keep only patterns every predicate accepts
+ * @param {number} [filters.limit=500] - Stop after this many matches
+ * @returns {boolean[][]} Matching necklaces
+ * 
+ * @example
+ * enumerateNecklaces(3, 8).length // 7
+ * enumerateNecklaces(7, 12, { predicates: [isDeep] }) // Includes the diatonic scale
+ */
+export function enumerateNecklaces(pulses, steps, filters = {}) {
+    const { maxRun = 0, predicates = [], limit = 500 } = filters;
+    if (pulses > steps || steps === 0) return [];
+    if (pulses === 0) return [new Array(steps).fill(false)];
+
+    const results = [];
+    const intervals = new Array(pulses + 1).fill(0);
+
+    const accept = (pattern) => {
+        if (maxRun > 0 && longestRun(pattern) > maxRun) return;
+        if (!predicates.every((predicate) => predicate(pattern))) return;
+        results.push(pattern);
+    };
+
+    // intervals[1..t-1] is a prenecklace with period p; `sum` is its total length
+    const extend = (t, p, sum) => {
+        if (results.length >= limit) return;
+        if (t > pulses) {
+            if (sum === steps && pulses % p === 0) {
+                accept(intervalsToPattern(intervals.slice(1), steps));
+            }
+            return;
+        }
+
+        // Every interval of a canonical necklace is at least the first one
+        const remaining = (pulses - t) * (t === 1 ? 1 : intervals[1]);
+        const first = t === 1 ? 1 : intervals[t - p];
+
+        for (let value = first; sum + value + remaining <= steps; value++) {
+            intervals[t] = value;
+            extend(t + 1, value === intervals[t - p] && t > 1 ? p : t, sum + value);
+            if (results.length >= limit) return;
+        }
+    };
+
+    extend(1, 1, 0);
+    return results;
+}
+
+/**
+ * Use a fixed necklace string as a generator (falls back to Björklund if it does not fit)
+ * 
+ * @param {number} pulses - Expected number of pulses
+ * @param {number} steps - Expected pattern length
+ * @param {string} necklace - Pattern string, e.g. "x.x.xx.x.x.x"
+ * @returns {boolean[]} The necklace, or the Euclidean pattern if sizes differ
+ */
+export function necklaceRhythm(pulses, steps, necklace) {
+    const pattern = necklace ? stringToPattern(necklace) : [];
+    const count = pattern.filter(Boolean).length;
+    if (pattern.length !== steps || count !== pulses) {
+        return euclideanRhythm(pulses, steps);
+    }
+    return pattern;
+}
+
+/**
+ * Registry of named rhythm generators
+ * 
+ * Every generator has the signature `(pulses, steps, options) => boolean[]`.
+ * Selection stages look generators up by name, so new ones can be added with
+ * registerRhythmGenerator without touching the tone pipeline.
+ */
+export const rhythmGenerators = {
+    euclidean: (pulses, steps) => euclideanRhythm(pulses, steps),
+    bresenham: (pulses, steps) => bresenhamRhythm(pulses, steps),
+    christoffel: (pulses, steps, options) => christoffelRhythm(pulses, steps, options.upper),
+    deep: (pulses, steps, options) => deepRhythm(pulses, steps, options.generator),
+    random: (pulses, steps, options) => randomRhythm(pulses, steps, options.seed),
+    // A density option (e.g. φ from the Sturmian controls) overrides pulses / steps
+    sturmian: (pulses, steps, options) =>
+        sturmianRhythm(options.density ?? pulses / steps, steps, options.maxLength),
+    necklace: (pulses, steps, options) => necklaceRhythm(pulses, steps, options.necklace),
+};
+
+/**
+ * Register a named rhythm generator
+ * 
+ * @param {string} name - Generator name used by the selection stages
+ * @param {function(number, number, Object): boolean[]} generator - Pattern generator
+ */
+export function registerRhythmGenerator(name, generator) {
+    rhythmGenerators[name] = generator;
+}
+
+/**
+ * Generate a pattern with a named generator
+ * 
+ * Unknown names fall back to Björklund's algorithm.
+ * 
+ * @param {string} method - Generator name (see rhythmGenerators)
+ * @param {number} pulses - Number of pulses
+ * @param {number} steps - Total number of steps
+ * @param {Object} options - Generator-specific options (e.g. seed, generator, upper, density, maxLength, necklace)
+ * @returns {boolean[]} Boolean pattern
+ * 
+ * @example
+ * generateRhythm("deep", 7, 12)
+ * generateRhythm("random", 3, 8, { seed: 42 })
+ */
+export function generateRhythm(method, pulses, steps, options = {}) {
+    const generator = rhythmGenerators[method] || rhythmGenerators.euclidean;
+    return generator(pulses, steps, options);
+}
+
+
+/**
+ * Rotate a pattern left by `amount` steps
+ * 
+ * @param {boolean[]} pattern - Boolean pattern
+ * @param {number} amount - Number of steps to rotate (negative rotates right)
+ * @returns {boolean[]} Rotated pattern
+ * 
+ * @example
+ * rotatePattern([true, false, false], 1) // Returns [false, false, true]
+ */
+export function rotatePattern(pattern, amount) {
+    if (pattern.length === 0) return [];
+    const rot = ((amount % pattern.length) + pattern.length) % pattern.length;
+    return [...pattern.slice(rot), ...pattern.slice(0, rot)];
+}
+
+/**
+ * Repeat or truncate a pattern to an exact length
+ * 
+ * @param {boolean[]} pattern - Boolean pattern
+ * @param {number} steps - Target length
+ * @returns {boolean[]} Pattern tiled to `steps` steps
+ */
+export function fitPattern(pattern, steps) {
+    if (pattern.length === 0) return new Array(steps).fill(false);
+    return Array.from({ length: steps }, (_, i) => pattern[i % pattern.length]);
+}
+
+/**
+ * Combine patterns step by step after aligning them to the LCM of their lengths
+ * 
+ * @param {boolean[][]} patterns - Patterns to combine
+ * @param {function(boolean[]): boolean} combine - Reduces the aligned values of one step
+ * @returns {boolean[]} Combined pattern
+ */
+function combinePatterns(patterns, combine) {
+    if (patterns.length === 0) return [];
+    const steps = patterns.reduce((length, pattern) => lcm(length, pattern.length), 1);
+    const aligned = patterns.map((pattern) => fitPattern(pattern, steps));
+    return Array.from({ length: steps }, (_, i) => combine(aligned.map((pattern) => pattern[i])));
+}
+
+/**
+ * Pulse where every pattern has a pulse (LCM-aligned)
+ * 
+ * @param {...boolean[]} patterns - Patterns to combine
+ * @returns {boolean[]} Intersection of the patterns
+ * 
+ * @example
+ * patternAnd(euclideanRhythm(3, 4), euclideanRhythm(2, 3)) // 12 steps
+ */
+export function patternAnd(...patterns) {
+    return combinePatterns(patterns, (values) => values.every(Boolean));
+}
+
+/**
+ * Pulse where any pattern has a pulse (LCM-aligned)
+ * 
+ * @param {...boolean[]} patterns - Patterns to combine
+ * @returns {boolean[]} Union of the patterns
+ */
+export function patternOr(...patterns) {
+    return combinePatterns(patterns, (values) => values.some(Boolean));
+}
+
+/**
+ * Pulse where an odd number of patterns have a pulse (LCM-aligned)
+ * 
+ * @param {...boolean[]} patterns - Patterns to combine
+ * @returns {boolean[]} Exclusive-or of the patterns
+ */
+export function patternXor(...patterns) {
+    return combinePatterns(patterns, (values) => values.filter(Boolean).length % 2 === 1);
+}
+
+/**
+ * Swap pulses and rests
+ * 
+ * @param {boolean[]} pattern - Boolean pattern
+ * @returns {boolean[]} Complemented pattern
+ */
+export function patternComplement(pattern) {
+    return pattern.map((pulse) => !pulse);
+}
+
+/**
+ * Play a pattern backwards
+ * 
+ * @param {boolean[]} pattern - Boolean pattern
+ * @returns {boolean[]} Reversed pattern
+ */
+export function patternReverse(pattern) {
+    return [...pattern].reverse();
+}
+
+/**
+ * Join patterns one after another
+ * 
+ * @param {...boolean[]} patterns - Patterns to join
+ * @returns {boolean[]} Concatenated pattern
+ */
+export function patternConcat(...patterns) {
+    return patterns.flat();
+}
+
+/**
+ * Slow a pattern down by an integer factor
+ * 
+ * Each step becomes `factor` steps; pulses land on the first of them.
+ * 
+ * @param {boolean[]} pattern - Boolean pattern
+ * @param {number} factor - Integer stretch factor
+ * @returns {boolean[]} Stretched pattern
+ * 
+ * @example
+ * patternStretch([true, false, true], 2) // Returns [true, false, false, false, true, false]
+ */
+export function patternStretch(pattern, factor) {
+    const result = [];
+    pattern.forEach((pulse) => {
+        result.push(pulse);
+        for (let i = 1; i < factor; i++) result.push(false);
+    });
+    return result;
+}
+
+/**
+ * Nest a pattern inside the pulses of another
+ * 
+ * Every step of `outer` is subdivided into `inner.length` steps: pulses play the
+ * inner pattern, rests stay silent.
+ * 
+ * @param {boolean[]} outer - Pattern deciding where the sub-pattern plays
+ * @param {boolean[]} inner - Sub-pattern played on each outer pulse
+ * @returns {boolean[]} Pattern of length outer.length * inner.length
+ * 
+ * @example
+ * patternNest(euclideanRhythm(3, 4), euclideanRhythm(2, 3)) // 12 steps, 6 pulses
+ */
+export function patternNest(outer, inner) {
+    const silence = new Array(inner.length).fill(false);
+    return outer.flatMap((pulse) => (pulse ? inner : silence));
+}
+
+/**
+ * Convert a pattern string ("x" for pulses, "." for rests) to a boolean pattern
+ * 
+ * @param {string} text - Pattern string, e.g. "x..x..x."
+ * @returns {boolean[]} Boolean pattern
+ */
+export function stringToPattern(text) {
+    return [...text].map((char) => char === "x");
+}
+
+/**
+ * Longest pattern an expression may produce, so a typo can't exhaust memory
+ */
+export const MAX_EXPRESSION_STEPS = 4096;
+
+const lcmLength = (patterns) => patterns.reduce((length, pattern) => lcm(length, pattern.length), 1);
+const sameLength = ([pattern]) => pattern.length;
+
+/**
+ * Operators available in pattern expressions, by name and arity, with the
+ * length each produces (checked before it is built)
+ */
+const patternOperators = {
+    and: { args: "patterns", length: lcmLength, apply: (args) => patternAnd(...args) },
+    or: { args: "patterns", length: lcmLength, apply: (args) => patternOr(...args) },
+    xor: { args: "patterns", length: lcmLength, apply: (args) => patternXor(...args) },
+    cat: {
+        args: "patterns",
+        length: (patterns) => patterns.reduce((length, pattern) => length + pattern.length, 0),
+        apply: (args) => patternConcat(...args),
+    },
+    not: { args: "pattern", length: sameLength, apply: ([pattern]) => patternComplement(pattern) },
+    rev: { args: "pattern", length: sameLength, apply: ([pattern]) => patternReverse(pattern) },
+    stretch: {
+        args: "pattern,number",
+        length: ([pattern, factor]) => pattern.length * Math.max(1, factor),
+        apply: ([pattern, factor]) => patternStretch(pattern, factor),
+    },
+    rot: { args: "pattern,number", length: sameLength, apply: ([pattern, amount]) => rotatePattern(pattern, amount) },
+    nest: {
+        args: "pattern,pattern",
+        length: ([outer, inner]) => outer.length * inner.length,
+        apply: ([outer, inner]) => patternNest(outer, inner),
+    },
+};
+
+/**
+ * Split a pattern expression into tokens
+ * 
+ * @param {string} text - Expression source
+ * @returns {Array<{type: string, value: string|number}>} Tokens
+ */
+function tokenizePatternExpression(text) {
+    const tokens = [];
+    let rest = text.trim();
+    while (rest.length > 0) {
+        let match;
+        if ((match = rest.match(/^[x.]+(?![\w(])/))) {
+            tokens.push({ type: "literal", value: match[0] });
+        } else if ((match = rest.match(/^-?\d+/))) {
+            tokens.push({ type: "number", value: parseInt(match[0]) });
+        } else if ((match = rest.match(/^[a-z_]\w*/i))) {
+            tokens.push({ type: "name", value: match[0] });
+        } else if ((match = rest.match(/^[(),]/))) {
+            tokens.push({ type: match[0], value: match[0] });
+        } else {
+            throw new Error(`Unexpected "${rest[0]}" in pattern expression`);
+        }
+        rest = rest.slice(match[0].length).trim();
+    }
+    return tokens;
+}
+
+/**
+ * Evaluate a pattern expression
+ * 
+ * Expressions are nested function calls over patterns:
+ * - Generators: `E(pulses, steps[, rotation])` or any registered generator name,
+ *   e.g. `deep(7, 12)`, `bresenham(5, 16, 2)`
+ * - Literals: `x..x..x.`
+ * - Boolean combination (LCM-aligned): `and(a, b, ...)`, `or(...)`, `xor(...)`
+ * - Transformations: `not(a)`, `rev(a)`, `cat(a, b, ...)`, `stretch(a, n)`,
+ *   `rot(a, n)`, `nest(outer, inner)`
+ * 
+ * @param {string} text - Expression source
+ * @param {Object} options - Generator options passed to named generators (e.g. seed, maxLength);
+ *   generators take their pulse count from the call, so a `density` option is ignored
+ * @returns {boolean[]} Resulting pattern
+ * @throws {Error} If the expression cannot be parsed, or would be longer than MAX_EXPRESSION_STEPS
+ * 
+ * @example
+ * evaluatePatternExpression("or(E(3,8), rot(E(2,5), 1))")  // 40 steps
+ * evaluatePatternExpression("nest(E(3,4), E(2,3))")         // 12 steps
+ */
+export function evaluatePatternExpression(text, options = {}) {
+    const tokens = tokenizePatternExpression(text);
+    let position = 0;
+
+    const expect = (type) => {
+        const token = tokens[position];
+        if (!token || token.type !== type) {
+            throw new Error(`Expected "${type}" in pattern expression`);
+        }
+        position++;
+        return token;
+    };
+
+    const checkLength = (name, steps) => {
+        if (steps > MAX_EXPRESSION_STEPS) {
+            throw new Error(`${name}() would make ${steps} steps (at most ${MAX_EXPRESSION_STEPS})`);
+        }
+    };
+
+    const parseArguments = () => {
+        const args = [];
+        expect("(");
+        if (tokens[position]?.type !== ")") {
+            args.push(parseValue());
+            while (tokens[position]?.type === ",") {
+                position++;
+                args.push(parseValue());
+            }
+        }
+        expect(")");
+        return args;
+    };
+
+    const parseValue = () => {
+        const token = tokens[position];
+        if (!token) throw new Error("Unexpected end of pattern expression");
+        if (token.type === "number") {
+            position++;
+            return token.value;
+        }
+        return parsePattern();
+    };
+
+    const parsePattern = () => {
+        const token = tokens[position];
+        if (!token) throw new Error("Unexpected end of pattern expression");
+        if (token.type === "literal") {
+            position++;
+            return stringToPattern(token.value);
+        }
+
+        const name = expect("name").value;
+        const args = parseArguments();
+
+        const operator = patternOperators[name];
+        if (operator) {
+            const expected = operator.args.split(",");
+            args.forEach((arg, i) => {
+                const kind = expected[Math.min(i, expected.length - 1)];
+                const isNumber = kind === "number";
+                if (isNumber !== (typeof arg === "number")) {
+                    throw new Error(`${name}() argument ${i + 1} should be a ${isNumber ? "number" : "pattern"}`);
+                }
+            });
+            if (operator.args !== "patterns" && args.length !== expected.length) {
+                throw new Error(`${name}() takes ${expected.length} argument(s)`);
+            }
+            if (operator.args === "patterns" && args.length === 0) {
+                throw new Error(`${name}() needs at least one pattern`);
+            }
+            checkLength(name, operator.length(args));
+            return operator.apply(args);
+        }
+
+        const generatorName = name === "E" ? "euclidean" : name;
+        if (!rhythmGenerators[generatorName]) {
+            throw new Error(`Unknown pattern function "${name}"`);
+        }
+        if (args.length < 2 || args.some((arg) => typeof arg !== "number")) {
+            throw new Error(`${name}() takes (pulses, steps[, rotation])`);
+        }
+        const [pulses, steps, rotation = 0] = args;
+        if (pulses < 0 || steps < 1 || pulses > steps) {
+            throw new Error(`${name}(${pulses}, ${steps}) needs 0 <= pulses <= steps`);
+        }
+        checkLength(name, steps);
+        const { density, ...callOptions } = options;
+        return rotatePattern(generateRhythm(generatorName, pulses, steps, callOptions), rotation);
+    };
+
+    const result = parsePattern();
+    if (position !== tokens.length) {
+        throw new Error("Unexpected input after pattern expression");
+    }
+    return result;
+}
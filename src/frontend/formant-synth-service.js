@@ -174,13 +174,13 @@ export function createFormantOscillator(frequency = 220, vowelX = 0.5, vowelY =
   formantSynthNode.parameters.get('active').setValueAtTime(0, now); // Start inactive
   
   // Add helper methods for compatibility
-  formantSynthNode.setVowel = function(x, y, rampTime = 0.005) {
+  formantSynthNode.setVowel = function(x, y, rampTime = 0.005, startTime = null) {
     // Use parameter coordinator to prevent race conditions
     const vowelXParam = this.parameters.get('vowelX');
     const vowelYParam = this.parameters.get('vowelY');
     
-    updateVowelParam(vowelXParam, x, rampTime, 'formant-synth-x');
-    updateVowelParam(vowelYParam, y, rampTime, 'formant-synth-y');
+    updateVowelParam(vowelXParam, x, rampTime, 'formant-synth-x', startTime);
+    updateVowelParam(vowelYParam, y, rampTime, 'formant-synth-y', startTime);
   };
   
   formantSynthNode.start = function(time = 0) {
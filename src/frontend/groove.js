@@ -0,0 +1,117 @@
+/**
+ * Grooves
+ *
+ * A groove moves the steps of a lane off the rigid grid: each step gets a
+ * timing offset and optionally a length, both in fractions of a lane step.
+ * Grooves repeat on their own length, independently of the lane they are
+ * applied to, so a 16-step groove can run under a 5-note sequence. Swing is
+ * a groove too, and is layered onto a template by delaying every second step.
+ */
+
+import { lcm } from './euclidean.js';
+
+/**
+ * Built-in templates, written as groove text (percent of a step, `offset:length`)
+ */
+export const GROOVE_TEMPLATES = {
+    straight: "",
+    shuffle: "0 33",
+    laidBack: "0 8 4 12",
+    push: "0 -6 -3 -8",
+    staccato: "0:50",
+    longShort: "0:100 0:60",
+    samba: "0 -4 3 -2 0 -4 6 -2 0 -3 4 -2 0 -5 5 -3",
+    mpc16: "0:90 12:60 0:90 14:60 0:90 10:60 0:90 16:60 0:90 12:60 0:90 14:60 0:90 10:60 0:90 18:60",
+};
+
+/**
+ * Parse groove text
+ *
+ * Two forms are accepted, both in percent of a lane step:
+ * - A list of `offset` or `offset:length` entries: "0 20 -5:80"
+ * - JSON, as saved in a template file: {"offsets": [0, 20], "lengths": [100, 60]}
+ *
+ * @param {string} text - Groove source
+ * @returns {{offsets: number[], lengths: number[]|null}|null} Offsets and lengths in lane steps,
+ *   or null for blank input (a straight grid)
+ * @throws {Error} If an entry is not a number or a length is not positive
+ *
+ * @example
+ * parseGroove("0 20 -5:80")
+ * // Returns {offsets: [0, 0.2, -0.05], lengths: [1, 1, 0.8]}
+ */
+export function parseGroove(text) {
+    const source = text.trim();
+    if (source === "") return null;
+
+    let offsets;
+    let lengths = null;
+    if (source.startsWith("{")) {
+        const template = JSON.parse(source);
+        if (!Array.isArray(template.offsets) || template.offsets.length === 0) {
+            throw new Error("Groove template needs a list of offsets");
+        }
+        offsets = template.offsets.map(Number);
+        if (Array.isArray(template.lengths) && template.lengths.length > 0) {
+            lengths = template.lengths.map(Number);
+        }
+    } else {
+        const entries = source
+            .split(/[\s,]+/)
+            .filter((token) => token !== "")
+            .map((token) => token.split(":"));
+        offsets = entries.map(([offset]) => Number(offset));
+        if (entries.some((entry) => entry.length > 1)) {
+            lengths = entries.map(([, length]) => (length === undefined || length === "" ? 100 : Number(length)));
+        }
+    }
+
+    if (offsets.some((offset) => !Number.isFinite(offset))) {
+        throw new Error(`Invalid groove offset in "${source}"`);
+    }
+    if (lengths && lengths.some((length) => !Number.isFinite(length) || length <= 0)) {
+        throw new Error("Groove lengths must be positive percentages");
+    }
+    return {
+        offsets: offsets.map((offset) => offset / 100),
+        lengths: lengths ? lengths.map((length) => length / 100) : null,
+    };
+}
+
+/**
+ * Offset of the second step of each pair for a swing amount
+ *
+ * The swing amount is the share of a pair the first step takes: 50 is
+ * straight, 66.7 a triplet shuffle.
+ *
+ * @param {number} swing - Swing in percent (50-75)
+ * @returns {number} Offset of every second step, in lane steps
+ *
+ * @example
+ * swingOffset(75) // Returns 0.5
+ */
+export function swingOffset(swing) {
+    return (2 * swing) / 100 - 1;
+}
+
+/**
+ * Layer swing onto a groove
+ *
+ * An odd-length groove is repeated to an even length so swing lands on the
+ * same steps every time round.
+ *
+ * @param {{offsets: number[], lengths: number[]|null}|null} groove - Groove from parseGroove (null for straight)
+ * @param {number} swing - Swing in percent (50 leaves the groove as it is)
+ * @returns {{offsets: number[], lengths: number[]|null}|null} Groove to send to the scheduler, or null if straight
+ */
+export function applySwing(groove, swing) {
+    const delay = swingOffset(swing);
+    if (Math.abs(delay) < 1e-9) return groove;
+
+    const offsets = groove ? groove.offsets : [0];
+    const length = lcm(offsets.length, 2);
+    return {
+        offsets: Array.from({ length }, (_, i) => offsets[i % offsets.length] + (i % 2 === 1 ? delay : 0)),
+        lengths: groove ? groove.lengths : null,
+    };
+}
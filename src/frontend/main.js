@@ -1,14 +1,19 @@
 // Import modules
 import { AppState } from './state.js';
 import { TonePipeline } from './toneGenerator.js';
-import { generateToneData, orderTones } from './toneEngine.js';
-import { euclideanRhythm, patternToIntervals, intervalsToPattern } from './euclidean.js';
-import { audioContext, playNote, togglePlay, playSequence, getRootFrequency, midiToFreq, freqToMidi, triggerMonoStep, updateSynthVowel, calculatePortamentoTime } from './audio.js';
-import { populateMidiDropdown, displayColumn, updateSequenceVisualization, updateSequenceNotesMax, setupValueControls } from './ui.js';
-import { initializeAudioWorklet, getSchedulerNode, sendToScheduler, isSchedulerReady, updateSchedulerBpm, updateSchedulerSubdivision, updateSchedulerPatterns } from './audio-worklet-service.js';
+import { generateToneData, orderTones, buildToneDataExport, nearestJustRatio, rankChordConsonance, temperToJust, parsePitchSet, solveToneParameters } from './toneEngine.js';
+import { euclideanRhythm, lcm, patternToIntervals, intervalsToPattern, generateRhythm, parseRatio, sturmianConvergents, sturmianStep, evaluatePatternExpression, fitPattern, enumerateNecklaces } from './euclidean.js';
+import { audioContext, playNote, togglePlay, playSequence, stopSequence, getRootFrequency, midiToFreq, freqToMidi, triggerMonoStep, updateSynthVowel, calculatePortamentoTime } from './audio.js';
+import { normalizedEvenness, isDeep } from './rhythm-analysis.js';
+import { populateMidiDropdown, populateRootNameDropdown, displayColumn, updateSequenceVisualization, updateSequenceNotesMax, setupValueControls, displayNecklaceList, displayConsonanceRanking, displaySolverResults, downloadTextFile } from './ui.js';
+import { initializeAudioWorklet, getSchedulerNode, sendToScheduler, isSchedulerReady, updateSchedulerBpm, updateSchedulerSubdivision, updateSchedulerLookahead, updateSchedulerTempoMap, updateSchedulerPatterns, setSchedulerLane, updateSchedulerGroove, seekScheduler, updateSchedulerLoop } from './audio-worklet-service.js';
 import { setVowelPosition, isFormantSynthReady } from './formant-synth-service.js';
 import { initializeSynthesizers, getCurrentSynthesizer } from './synthesizer-manager.js';
 import { XYOscilloscope } from './xy-oscilloscope.js';
+import { describeTone, formatToneLabel } from './note-names.js';
+import { parseProgression, parseModulation, progressionSlot, transpositionRatio } from './progression.js';
+import { GROOVE_TEMPLATES, parseGroove, applySwing } from './groove.js';
+import { parseScl, parseKbm, ratioToCents, centsToRatio, tuningDegrees, tuningRootFrequency, toneSetDegrees, formatScl, formatKbm, formatTun, midiNoteFrequencies } from './tuning.js';
 
 // Pattern utility functions are now imported from euclidean.js
 
@@ -81,7 +86,7 @@ function handleValueChange(display, value) {
     handleControlChange(target, value);
 
     // Sync real-time parameters that don't need full tone regeneration
-    if (['portamentoTime', 'attackTime', 'decayTime', 'vowelX', 'vowelY', 'phonemeSteps', 'bpm', 'subdivision', 'synthBlend', 'morph', 'symmetry'].includes(target)) {
+    if (['portamentoTime', 'attackTime', 'decayTime', 'vowelX', 'vowelY', 'phonemeSteps', 'bpm', 'subdivision', 'synthBlend', 'morph', 'symmetry', 'jiStrength', 'progressionCycles', 'modulationCycles', 'lookahead', 'rampBpm', 'rampBars', 'swing'].includes(target)) {
         appState.set(target, value);
         
         // Update formant synthesizer for vowel changes
@@ -115,6 +120,7 @@ function handleValueChange(display, value) {
         if (target === 'phonemeSteps') {
             generatePhonemePattern();
             updateSequenceVisualization(appState);
+            applyLoopRange();
         }
         
         // Update scheduler timing when BPM or subdivision changes
@@ -124,6 +130,12 @@ function handleValueChange(display, value) {
         if (target === 'subdivision' && isSchedulerReady()) {
             updateSchedulerSubdivision(value);
         }
+        if (target === 'lookahead' && isSchedulerReady()) {
+            updateSchedulerLookahead(value / 1000);
+        }
+        if (target === 'swing') {
+            applyGroove();
+        }
     }
 
     // Only call generateTones for parameters that affect tone generation
@@ -133,10 +145,17 @@ function handleValueChange(display, value) {
             'portamentoSteps',
             'portamentoRotation',
             'portamentoTime',
+            'jiStrength',
+            'progressionCycles',
+            'modulationCycles',
             'attackTime',
             'decayTime',
             'bpm',
             'subdivision',
+            'lookahead',
+            'rampBpm',
+            'rampBars',
+            'swing',
             'morph',
             'symmetry',
             'synthBlend',
@@ -145,6 +164,9 @@ function handleValueChange(display, value) {
             'sequenceRotation',
             'sequenceBase',
             'sequenceOctaves',
+            'sequenceInversion',
+            'orderStep',
+            'markovLength',
             'vowelX',
             'vowelY',
             'phonemeSteps',
@@ -156,6 +178,10 @@ function handleValueChange(display, value) {
 
 function updateDependentControls(target, value) {
     if (target === "edo") {
+        // Keep a named root near its pitch when the EDO changes
+        if (document.getElementById("rootMode").value === "name") {
+            populateRootNameDropdown(value, appState.params.rootFreq);
+        }
         document.getElementById("scaleNotesValue").dataset.max = value;
         const scaleNotes = parseInt(
             document.getElementById("scaleNotesValue").textContent,
@@ -218,7 +244,7 @@ function handleControlChange(paramName, newValue) {
 // Regenerate all tone data and patterns using pure functions
 function regenerateEverything() {
     // Get fresh tone data using pure functions
-    const toneData = generateToneData(appState.params);
+    const toneData = generateToneData(transposedParams());
     
     // Update the old pipeline for compatibility (we'll remove this later)
     currentData = toneData;
@@ -229,6 +255,7 @@ function regenerateEverything() {
     // Generate sequence pattern
     generateSequencePattern();
     updateSequenceVisualization(appState);
+    applyLoopRange();
     
     // If playing, update the AudioWorklet with the new pattern
     if (appState.playback.isPlaying && appState.playback.sequencePattern.steps) {
@@ -392,11 +419,39 @@ function generatePhonemePattern() {
 function generateSequencePattern() {
     const order = document.getElementById("sequenceOrder").value;
 
-    // Steps = number of sequence tones, all steps active (no rhythm pattern)
-    const activeToneCount = currentData.sequenceIndices
-        ? currentData.sequenceIndices.length
-        : 0;
-    const patternSteps = activeToneCount;
+    // Get fresh sequence data using pure functions
+    const freshData = currentData || generateToneData(transposedParams());
+    
+    // Get active sequence tones (the selected subset from the expanded pool)
+    const activeTones = [];
+    if (freshData.sequenceTones && freshData.sequenceIndices) {
+        // Collect tones in the order of sequenceIndices (preserves random selection order)
+        freshData.sequenceIndices.forEach(index => {
+            if (index < freshData.sequenceTones.length && freshData.sequenceTones[index] > 0) {
+                activeTones.push(freshData.sequenceTones[index]);
+            }
+        });
+    }
+
+    if (activeTones.length === 0) {
+        console.log(
+            "No active tones found. Make sure to generate tones first.",
+        );
+        return;
+    }
+
+    // Use pure ordering function with deterministic seed
+    const seed = appState.get('randomSeed') + 'm'.charCodeAt(0); // 'mono'
+    const orderedTones = orderTones(activeTones, order, seed, appState.params.orderStep, {
+        source: appState.params.markovSource,
+        melody: markovMelodyFrequencies(freshData.baseTones[0]),
+        length: appState.params.markovLength,
+    });
+
+    // Steps = one per ordered tone (up-down and pedal orders revisit tones), all steps active
+    // A rhythm expression sets its own length and turns rests into empty steps
+    const expressionRhythm = evaluateLaneExpression(appState.params.rhythmExpression, 'r');
+    const patternSteps = expressionRhythm ? expressionRhythm.length : orderedTones.length;
     const rhythmPulses = patternSteps; // All steps active
     const rhythmRotation = 0;
     const portamentoSteps = parseInt(
@@ -418,34 +473,13 @@ function generateSequencePattern() {
     }
     // --- End of new code ---
 
-    // Get fresh sequence data using pure functions
-    const freshData = currentData || generateToneData(appState.params);
-    
-    // Get active sequence tones (the selected subset from the expanded pool)
-    const activeTones = [];
-    if (freshData.sequenceTones && freshData.sequenceIndices) {
-        // Collect tones in the order of sequenceIndices (preserves random selection order)
-        freshData.sequenceIndices.forEach(index => {
-            if (index < freshData.sequenceTones.length && freshData.sequenceTones[index] > 0) {
-                activeTones.push(freshData.sequenceTones[index]);
-            }
-        });
-    }
-
-    if (activeTones.length === 0) {
-        console.log(
-            "No active tones found. Make sure to generate tones first.",
-        );
-        return;
-    }
-
     // console.log(
     //     `Generating pattern with ${activeTones.length} tones, mode: ${mode}`,
     // );
 
     // Generate rhythm pattern using euclidean function
-    let rhythm = euclideanRhythm(rhythmPulses, patternSteps);
-    if (rhythmRotation > 0) {
+    let rhythm = expressionRhythm || euclideanRhythm(rhythmPulses, patternSteps);
+    if (!expressionRhythm && rhythmRotation > 0) {
         const canonicalIntervals = patternToIntervals(rhythm);
         if (canonicalIntervals.length > 0) {
             const rot = rhythmRotation % canonicalIntervals.length;
@@ -458,48 +492,20 @@ function generateSequencePattern() {
     }
 
     // Generate portamento pattern using pattern shift rotation
-    let portamento = new Array(patternSteps).fill(false);
-    if (portamentoSteps > 0 && patternSteps > 0) {
-        // Ensure portamento steps don't exceed pattern steps
-        const actualPortamentoSteps = Math.min(
-            portamentoSteps,
-            patternSteps,
-        );
-        
-        // 1. Generate the canonical, unrotated pattern
-        const canonicalPattern = euclideanRhythm(
-            actualPortamentoSteps,
-            patternSteps,
-        );
-
-        if (portamentoRotation > 0 && canonicalPattern.length > 0) {
-            // 2. This is the new "pattern shift" logic.
-            // It slices the array at the rotation point and stitches it back together.
-            const rot = portamentoRotation % canonicalPattern.length;
-            portamento = [
-                ...canonicalPattern.slice(rot),
-                ...canonicalPattern.slice(0, rot)
-            ];
-        } else {
-            // If rotation is 0, just use the original pattern
-            portamento = canonicalPattern;
-        }
-    }
+    const portamento = generatePortamentoPattern(patternSteps, portamentoSteps, portamentoRotation);
 
     // Generate note order
     const steps = [];
     let noteCounter = 0;
 
-    // Simple ordering of tones
-    let orderedTones = [...activeTones];
-
-    // Use pure ordering function with deterministic seed
-    const seed = appState.get('randomSeed') + 'm'.charCodeAt(0); // 'mono'
-    orderedTones = orderTones(activeTones, order, seed);
-
-    // All steps have notes (no rests)
+    // Pulses take the next tone in order, rests hold the previous one
     for (let i = 0; i < patternSteps; i++) {
-        steps.push(orderedTones[i % orderedTones.length]);
+        if (rhythm[i]) {
+            steps.push(orderedTones[noteCounter % orderedTones.length]);
+            noteCounter++;
+        } else {
+            steps.push(null);
+        }
     }
 
     // Update portamento steps max based on actual pattern steps
@@ -529,31 +535,149 @@ function generateSequencePattern() {
     // console.log(`🎵 PATTERN GENERATED: steps=[${steps.map(s => s ? s.toFixed(1) : 'null').join(', ')}], rhythm=[${rhythm.join(', ')}], portamento=[${portamento.join(', ')}]`);
 }
 
-// Update only the portamento pattern without changing the note order
-function updatePortamentoPattern() {
-    if (
-        !appState.playback.sequencePattern.steps ||
-        appState.playback.sequencePattern.steps.length === 0
-    ) {
-        // If no sequence pattern exists yet, generate it first
-        generateSequencePattern();
-        if (
-            !appState.playback.sequencePattern.steps ||
-            appState.playback.sequencePattern.steps.length === 0
-        ) {
-            return;
-        }
+// Params with the modulation lane's transposition applied to the root
+// appState.params.rootFreq stays the untransposed root chosen in the UI
+function transposedParams() {
+    const transposition = appState.playback.transposition;
+    if (transposition === 1) return appState.params;
+    return { ...appState.params, rootFreq: appState.params.rootFreq * transposition };
+}
+
+// Progression lane: move to the cycle's chord/scale rotation
+// Returns whether anything changed
+function advanceProgression(cycle) {
+    let slots;
+    try {
+        slots = parseProgression(appState.params.progression, appState.params.chordNotes);
+    } catch (error) {
+        return false;
+    }
+    if (slots.length === 0) return false;
+
+    const slot = slots[progressionSlot(cycle, appState.params.progressionCycles, slots.length)];
+    const scaleRotation = slot.scaleRotation === null
+        ? appState.params.scaleRotation
+        : slot.scaleRotation % appState.params.scaleNotes;
+    if (slot.chordRotation === appState.params.chordRotation && scaleRotation === appState.params.scaleRotation) {
+        return false;
     }
 
-    const patternSteps = appState.playback.sequencePattern.steps.length;
-    const portamentoSteps = parseInt(
-        document.getElementById("portamentoStepsValue").textContent,
-    );
-    const portamentoRotation = parseInt(
-        document.getElementById("portamentoRotationValue").textContent,
-    );
+    document.getElementById("chordRotationValue").textContent = slot.chordRotation;
+    document.getElementById("scaleRotationValue").textContent = scaleRotation;
+    appState.set('chordRotation', slot.chordRotation);
+    appState.set('scaleRotation', scaleRotation);
+    return true;
+}
+
+// Modulation lane: move the root to the cycle's transposition
+// Returns whether anything changed
+function advanceModulation(cycle) {
+    let slots;
+    try {
+        slots = parseModulation(appState.params.modulation);
+    } catch (error) {
+        return false;
+    }
+    if (slots.length === 0 || !currentData) return false;
+
+    const slot = slots[progressionSlot(cycle, appState.params.modulationCycles, slots.length)];
+    const transposition = transpositionRatio(slot, currentData.baseTones, currentData.scaleTones, currentData.scaleIndices);
+    if (Math.abs(transposition - appState.playback.transposition) < 1e-9) return false;
+
+    appState.playback.transposition = transposition;
+    return true;
+}
+
+// Cycle lanes: called from the scheduler's global step at each sequence cycle boundary,
+// before the step's note fires, so chord and key changes land on the downbeat
+// The cycle is counted from the global step, so seeks and loops land on the slot for their position
+function advanceCycleLanes(globalStep) {
+    const playback = appState.playback;
+    const noteLength = playback.sequencePattern.steps?.length || 1;
+    playback.sequenceCycle = Math.floor(globalStep / noteLength);
+
+    const progressed = advanceProgression(playback.sequenceCycle);
+    const modulated = advanceModulation(playback.sequenceCycle);
+    if (progressed || modulated) {
+        // Regenerates the pattern and hands it to the running scheduler without restarting
+        regenerateEverything();
+    }
+}
+
+document.getElementById("progression").onchange = (e) => {
+    const input = e.target;
+    try {
+        parseProgression(input.value, appState.params.chordNotes);
+    } catch (error) {
+        input.classList.add("invalid");
+        input.title = error.message;
+        return;
+    }
+    input.classList.remove("invalid");
+    input.title = "";
+    appState.set('progression', input.value.trim());
+};
+
+document.getElementById("modulation").onchange = (e) => {
+    const input = e.target;
+    try {
+        parseModulation(input.value);
+    } catch (error) {
+        input.classList.add("invalid");
+        input.title = error.message;
+        return;
+    }
+    input.classList.remove("invalid");
+    input.title = "";
+    appState.set('modulation', input.value.trim());
+
+    // Clearing the lane returns to the untransposed root
+    if (appState.params.modulation === "" && appState.playback.transposition !== 1) {
+        appState.playback.transposition = 1;
+        regenerateEverything();
+    }
+};
+
+// Adaptive JI: temper a stored pattern frequency on its way to the synth
+// The pattern keeps its EDO pitches; only the played frequency moves toward the just ratio
+function playedFrequency(freq) {
+    const strength = appState.params.jiStrength / 100;
+    if (!(strength > 0) || !currentData.chordIndices || currentData.chordIndices.length === 0) {
+        return freq;
+    }
+    const chordRoot = currentData.chordTones[currentData.chordIndices[0]];
+    const equave = currentData.baseTones[currentData.baseTones.length - 1] / currentData.baseTones[0];
+    return temperToJust(freq, chordRoot, strength, appState.params.jiLimit, equave);
+}
+
+// Options passed to named rhythm generators; `salt` keeps lanes' random seeds apart
+function rhythmGeneratorOptions(salt) {
+    return {
+        seed: appState.params.randomSeed + salt.charCodeAt(0),
+        density: appState.params.sturmianDensity,
+        maxLength: appState.params.sturmianMaxLength,
+    };
+}
+
+// Evaluate a lane's pattern expression, or return null if it is empty or invalid
+function evaluateLaneExpression(expression, salt) {
+    if (!expression || expression.trim() === '') return null;
+    try {
+        return evaluatePatternExpression(expression, rhythmGeneratorOptions(salt));
+    } catch (error) {
+        console.warn(`Ignoring pattern expression "${expression}": ${error.message}`);
+        return null;
+    }
+}
+
+// Build the portamento lane with the selected rhythm generator
+function generatePortamentoPattern(patternSteps, portamentoSteps, portamentoRotation) {
+    // An expression replaces the generator and is tiled to the note pattern length
+    const expressionPortamento = evaluateLaneExpression(appState.params.portamentoExpression, 'p');
+    if (expressionPortamento) {
+        return fitPattern(expressionPortamento, patternSteps);
+    }
 
-    // Generate new portamento pattern using pattern shift rotation
     let portamento = new Array(patternSteps).fill(false);
     if (portamentoSteps > 0 && patternSteps > 0) {
         // Ensure portamento steps don't exceed pattern steps
@@ -563,9 +687,11 @@ function updatePortamentoPattern() {
         );
         
         // 1. Generate the canonical, unrotated pattern
-        const canonicalPattern = euclideanRhythm(
+        const canonicalPattern = generateRhythm(
+            appState.params.portamentoMethod,
             actualPortamentoSteps,
             patternSteps,
+            rhythmGeneratorOptions('p'), // 'portamento'
         );
 
         if (portamentoRotation > 0 && canonicalPattern.length > 0) {
@@ -581,6 +707,53 @@ function updatePortamentoPattern() {
             portamento = canonicalPattern;
         }
     }
+    return portamento;
+}
+
+// An unbounded Sturmian portamento lane plays the characteristic word itself, read by the
+// note lane's running count, rather than looping the slice that fits the pattern
+function portamentoFollowsSturmianWord() {
+    const params = appState.params;
+    if (params.portamentoMethod !== "sturmian" || params.sturmianMaxLength || !(params.portamentoSteps > 0)) {
+        return false;
+    }
+    // A valid expression replaces the generator
+    const expression = params.portamentoExpression?.trim();
+    if (!expression) return true;
+    try {
+        evaluatePatternExpression(expression);
+        return false;
+    } catch (error) {
+        return true;
+    }
+}
+
+// Update only the portamento pattern without changing the note order
+function updatePortamentoPattern() {
+    if (
+        !appState.playback.sequencePattern.steps ||
+        appState.playback.sequencePattern.steps.length === 0
+    ) {
+        // If no sequence pattern exists yet, generate it first
+        generateSequencePattern();
+        if (
+            !appState.playback.sequencePattern.steps ||
+            appState.playback.sequencePattern.steps.length === 0
+        ) {
+            return;
+        }
+    }
+
+    const patternSteps = appState.playback.sequencePattern.steps.length;
+    const portamentoSteps = parseInt(
+        document.getElementById("portamentoStepsValue").textContent,
+    );
+    const portamentoRotation = parseInt(
+        document.getElementById("portamentoRotationValue").textContent,
+    );
+
+    // Generate new portamento pattern using pattern shift rotation
+    const portamento = generatePortamentoPattern(patternSteps, portamentoSteps, portamentoRotation);
 
     // Update only the portamento pattern, keep existing steps and rhythm
     appState.playback.sequencePattern.portamento = portamento;
@@ -615,7 +788,7 @@ function generateTones() {
 function updateTonesDisplay(data = null) {
     // Use provided data or generate fresh data
     if (!data) {
-        data = generateToneData(appState.params);
+        data = generateToneData(transposedParams());
     }
 
     // Reset play indices if the number of tones changed
@@ -626,15 +799,54 @@ function updateTonesDisplay(data = null) {
         playIndices.chord = 0;
     }
 
-    displayColumn("baseTones", data.baseTones, true, playNote);
-    displayColumn("scaleTones", data.scaleTones, data.scaleIndices, playNote);
-    displayColumn("chordTones", data.chordTones, data.chordIndices, playNote);
-    displayColumn("sequenceTones", data.sequenceTones, data.sequenceIndices, playNote);
+    displayColumn("baseTones", data.baseTones, true, playNote, toneLabels(data.baseTones, data), recordMelodyTone);
+    updateEquaveLabels(data.baseTones);
+    displayColumn("scaleTones", data.scaleTones, data.scaleIndices, playNote, toneLabels(data.scaleTones, data, true), recordMelodyTone);
+    updateMosDisplay(data.mos);
+    displayColumn("chordTones", data.chordTones, data.chordIndices, playNote, toneLabels(data.chordTones, data, true), recordMelodyTone);
+    updateConsonanceDisplay(data.consonance);
+    displayColumn("sequenceTones", data.sequenceTones, data.sequenceIndices, playNote, toneLabels(data.sequenceTones, data), recordMelodyTone);
 
     // Update sequence notes max when chord tones change
     updateSequenceNotesMax(data);
 }
 
+// Label every tone with its name, cents from the root and nearest 12-TET pitch
+// withJust adds the nearest just ratio to the root and the error from it
+function toneLabels(tones, data, withJust = false) {
+    const root = data.baseTones[0];
+    const equave = data.baseTones[data.baseTones.length - 1] / root;
+    const isOctave = Math.abs(1200 * Math.log2(equave) - 1200) < 1e-6;
+    // EDO names only make sense for an octave-repeating EDO
+    const isEdo = !appState.params.tuning && appState.params.baseSource === "edo";
+    const edo = isEdo && isOctave ? appState.params.edo : null;
+    const naming = { edo, scheme: appState.params.noteNaming };
+
+    return tones.map((freq, index) => {
+        if (!(freq > 0)) return null;
+        const tone = describeTone(freq, root, naming);
+        // Scala tunings and harmonic series keep their exact ratios as names
+        if (!isEdo && tones === data.baseTones) {
+            const label = data.baseLabels[index];
+            if (label && label.includes("/")) tone.name = label;
+        }
+        const just = withJust ? nearestJustRatio(freq / root, appState.params.jiLimit) : null;
+        if (!just) return formatToneLabel(tone);
+        const error = Math.round(just.error);
+        return `${formatToneLabel(tone)}\n${just.ratio} ${error >= 0 ? "+" : "−"}${Math.abs(error)}`;
+    });
+}
+
+function updateConsonanceDisplay(consonance) {
+    const readout = document.getElementById("chordConsonance");
+    if (!consonance || consonance.pairs.length === 0) {
+        readout.textContent = "";
+        return;
+    }
+    readout.textContent = `Tenney ${consonance.score.toFixed(2)} ±${consonance.meanError.toFixed(1)}¢`;
+    readout.title = `Mean Tenney height of ${consonance.pairs.map((pair) => pair.ratio).join(" ")}`;
+}
+
 function updateParams(params) {
     if (params.edo !== undefined) {
         document.getElementById("edoValue").textContent = params.edo;
@@ -652,6 +864,9 @@ function updateParameter(paramName, value) {
     // Update pipeline for tone-affecting parameters
     const toneParams = [
         "edo",
+        "tuning",
+        "equave",
+        "octaveStretch",
         "scaleNotes",
         "scaleRotation",
         "chordNotes",
@@ -659,9 +874,16 @@ function updateParameter(paramName, value) {
         "rootFreq",
         "sequenceNotes",
         "sequenceMethod",
+        "scaleMethod",
+        "chordMethod",
         "sequenceBase",
         "sequenceOctaves",
         "sequenceRotation",
+        "sequenceVoicing",
+        "sequenceInversion",
+        "expansionMode",
+        "expansionChordTone",
+        "expansionRatio",
     ];
     if (toneParams.includes(paramName)) {
         pipeline.updateParam(paramName, value);
@@ -688,18 +910,17 @@ function updateParameter(paramName, value) {
 // Event listeners setup
 document.getElementById("rootMode").onchange = (e) => {
     const mode = e.target.value;
+    // Carry the current root over to the newly selected control
+    const freq = appState.params.rootFreq;
+    document.getElementById("rootFreq").style.display = mode === "hz" ? "inline" : "none";
+    document.getElementById("rootMidi").style.display = mode === "midi" ? "inline" : "none";
+    document.getElementById("rootName").style.display = mode === "name" ? "inline" : "none";
     if (mode === "hz") {
-        document.getElementById("rootFreq").style.display = "inline";
-        document.getElementById("rootMidi").style.display = "none";
-        const midiNote = parseInt(document.getElementById("rootMidi").value);
-        document.getElementById("rootFreq").value =
-            midiToFreq(midiNote).toFixed(2);
+        document.getElementById("rootFreq").value = freq.toFixed(2);
+    } else if (mode === "midi") {
+        document.getElementById("rootMidi").value = freqToMidi(freq);
     } else {
-        document.getElementById("rootFreq").style.display = "none";
-        document.getElementById("rootMidi").style.display = "inline";
-        const freq = parseFloat(document.getElementById("rootFreq").value);
-        const midiNote = freqToMidi(freq);
-        document.getElementById("rootMidi").value = midiNote;
+        populateRootNameDropdown(appState.params.edo, freq);
     }
     generateTones();
 };
@@ -712,6 +933,15 @@ document.getElementById("rootMidi").onchange = (e) => {
     generateTones();
 };
 
+document.getElementById("rootName").onchange = (e) => {
+    generateTones();
+};
+
+document.getElementById("noteNaming").onchange = (e) => {
+    appState.set('noteNaming', e.target.value);
+    updateTonesDisplay();
+};
+
 document.getElementById("sequenceMethod").onchange = (e) => {
     const method = e.target.value;
     const rotationControl = document.getElementById("sequenceRotationControl");
@@ -719,27 +949,266 @@ document.getElementById("sequenceMethod").onchange = (e) => {
         "sequenceRandomizeControl",
     );
 
-    if (method === "euclidean") {
-        rotationControl.style.display = "block";
-        randomizeControl.style.display = "none";
-    } else if (method === "random") {
+    if (method === "random") {
         rotationControl.style.display = "none";
         randomizeControl.style.display = "block";
+    } else {
+        rotationControl.style.display = "block";
+        randomizeControl.style.display = "none";
     }
     generateTones();
 };
 
-// Update sequence pattern when order changes
-document.getElementById("sequenceOrder").onchange = (e) => {
-    const order = e.target.value;
-    // Show/hide reshuffle button
+// Stack interval for the sequence pool; the text field holds the chord tone number or the ratio
+function updateExpansionValueField() {
+    const mode = appState.params.expansionMode;
+    const field = document.getElementById("expansionValue");
+    field.style.display = mode === "chordTone" || mode === "ratio" ? "block" : "none";
+    field.classList.remove("invalid");
+    if (mode === "chordTone") field.value = appState.params.expansionChordTone;
+    if (mode === "ratio") field.value = appState.params.expansionRatio;
+}
+
+document.getElementById("expansionMode").onchange = (e) => {
+    appState.set('expansionMode', e.target.value);
+    updateExpansionValueField();
+    generateTones();
+};
+
+document.getElementById("expansionValue").onchange = (e) => {
+    const mode = appState.params.expansionMode;
+    const value = mode === "chordTone" ? parseInt(e.target.value) : parseRatio(e.target.value);
+    const valid = mode === "chordTone" ? value >= 1 : value > 1;
+    e.target.classList.toggle("invalid", !valid);
+    if (!valid) return;
+
+    appState.set(mode === "chordTone" ? 'expansionChordTone' : 'expansionRatio', value);
+    generateTones();
+};
+
+document.getElementById("sequenceVoicing").onchange = () => {
+    generateTones();
+};
+
+document.getElementById("scaleMethod").onchange = () => {
+    generateTones();
+};
+
+// MOS scale: list the reachable sizes and show the step pattern of the current one
+function updateMosDisplay(mos) {
+    const select = document.getElementById("mosSize");
+    const readout = document.getElementById("mosPattern");
+    if (!mos) {
+        readout.textContent = "";
+        return;
+    }
+
+    select.innerHTML = "";
+    mos.sizes.forEach((size) => {
+        const option = document.createElement("option");
+        option.value = size;
+        option.textContent = `${size} notes`;
+        select.appendChild(option);
+    });
+    select.value = mos.size;
+
+    readout.textContent = mos.smallCount > 0
+        ? `${mos.largeCount}L ${mos.smallCount}s ${mos.pattern}`
+        : `${mos.largeCount} equal steps`;
+    readout.title = `L ${mos.large.toFixed(1)}¢, s ${mos.small.toFixed(1)}¢`;
+
+    // Rotation and chord size follow the MOS size rather than the Notes control
+    updateDependentControls("scaleNotes", mos.size);
+}
+
+document.getElementById("mosGenerator").onchange = (e) => {
+    const text = e.target.value.trim();
+    // Plain numbers are cents; anything parseRatio understands (3/2, sqrt(2)...) is a ratio
+    const cents = /^-?[\d.]+$/.test(text) ? parseFloat(text) : ratioToCents(parseRatio(text));
+    if (!Number.isFinite(cents) || cents <= 0) {
+        e.target.classList.add("invalid");
+        return;
+    }
+    e.target.classList.remove("invalid");
+    appState.set('mosGenerator', cents);
+    regenerateEverything();
+};
+
+document.getElementById("mosSize").onchange = (e) => {
+    appState.set('mosSize', parseInt(e.target.value));
+    regenerateEverything();
+};
+
+document.getElementById("chordMethod").onchange = () => {
+    generateTones();
+};
+
+// List the convergent lengths of the current Sturmian density
+function updateSturmianLengthOptions() {
+    const select = document.getElementById("sturmianMaxLength");
+    const convs = sturmianConvergents(appState.params.sturmianDensity, 64);
+    select.innerHTML = '<option value="0">∞</option>';
+    convs.forEach(({ pulses, steps }) => {
+        const option = document.createElement("option");
+        option.value = steps;
+        option.textContent = `${pulses}/${steps}`;
+        select.appendChild(option);
+    });
+
+    // Fall back to the unbounded word if the chosen length no longer exists
+    if (!convs.some(({ steps }) => steps === appState.params.sturmianMaxLength)) {
+        appState.set('sturmianMaxLength', 0);
+    }
+    select.value = appState.params.sturmianMaxLength;
+}
+
+// Regenerate anything that uses a Sturmian lane
+function applySturmianChange() {
+    if (appState.params.sequenceMethod === "sturmian") {
+        regenerateEverything();
+    } else if (appState.params.portamentoMethod === "sturmian") {
+        updatePortamentoPattern();
+        updateSequenceVisualization(appState);
+    }
+}
+
+document.getElementById("sturmianDensity").onchange = (e) => {
+    const ratio = parseRatio(e.target.value);
+    if (!(ratio > 0)) {
+        e.target.classList.add("invalid");
+        return;
+    }
+    e.target.classList.remove("invalid");
+    appState.set('sturmianDensity', ratio);
+    updateSturmianLengthOptions();
+    applySturmianChange();
+};
+
+document.getElementById("sturmianMaxLength").onchange = (e) => {
+    appState.set('sturmianMaxLength', parseInt(e.target.value));
+    applySturmianChange();
+};
+
+// Validate and apply a lane expression typed into a text input
+function handleExpressionInput(input, paramName) {
+    const expression = input.value.trim();
+    if (expression !== '') {
+        try {
+            evaluatePatternExpression(expression);
+        } catch (error) {
+            input.classList.add("invalid");
+            input.title = error.message;
+            return;
+        }
+    }
+    input.classList.remove("invalid");
+    input.title = "";
+    appState.set(paramName, expression);
+
+    generateSequencePattern();
+    updateSequenceVisualization(appState);
+    if (appState.playback.isPlaying && appState.playback.sequencePattern.steps) {
+        updateSchedulerPatterns(
+            appState.playback.sequencePattern.steps.length,
+            appState.playback.phonemePattern.vowels.length,
+            appState.playback.sequencePattern.rhythm,
+            appState.playback.sequencePattern.portamento
+        );
+    }
+}
+
+document.getElementById("rhythmExpression").onchange = (e) => {
+    handleExpressionInput(e.target, 'rhythmExpression');
+};
+
+document.getElementById("portamentoExpression").onchange = (e) => {
+    handleExpressionInput(e.target, 'portamentoExpression');
+};
+
+document.getElementById("portamentoMethod").onchange = (e) => {
+    appState.set('portamentoMethod', e.target.value);
+    updatePortamentoPattern();
+    updateSequenceVisualization(appState);
+};
+
+// Show the reshuffle button for seeded orders and the step control for orders that take one
+function updateOrderControls(order) {
     const reshuffleControl = document.getElementById("sequenceShuffleControl");
-    if (order === "shuffle") {
+    if (["shuffle", "nearest", "randomWalk", "markov"].includes(order)) {
         reshuffleControl.style.display = "block";
     } else {
         reshuffleControl.style.display = "none";
     }
 
+    const stepControl = document.getElementById("orderStepControl");
+    stepControl.style.display = ["randomWalk", "interleave"].includes(order) ? "block" : "none";
+    document.getElementById("orderStepLabel").textContent = order === "interleave" ? "Stride" : "Range (±)";
+    document.getElementById("markovControl").style.display = order === "markov" ? "block" : "none";
+}
+
+// Markov melody: cents above the root, typed in or recorded from tone clicks
+let markovRecording = false;
+
+// The learned melody as frequencies over the given root (empty if unreadable)
+function markovMelodyFrequencies(rootFreq) {
+    if (appState.params.markovMelody === "") return [];
+    try {
+        return parsePitchSet(appState.params.markovMelody).map((cents) => rootFreq * centsToRatio(cents));
+    } catch (error) {
+        return [];
+    }
+}
+
+// Append a clicked tone to the melody while recording
+function recordMelodyTone(freq) {
+    if (!markovRecording || !currentData) return;
+    const input = document.getElementById("markovMelody");
+    const cents = ratioToCents(freq / currentData.baseTones[0]).toFixed(1);
+    input.value = input.value.trim() === "" ? cents : `${input.value.trim()} ${cents}`;
+}
+
+document.getElementById("markovSource").onchange = (e) => {
+    appState.set('markovSource', e.target.value);
+    regenerateEverything();
+};
+
+document.getElementById("markovMelody").onchange = (e) => {
+    const input = e.target;
+    const melody = input.value.trim();
+    if (melody !== "") {
+        try {
+            parsePitchSet(melody);
+        } catch (error) {
+            input.classList.add("invalid");
+            input.title = error.message;
+            return;
+        }
+    }
+    input.classList.remove("invalid");
+    input.title = "";
+    appState.set('markovMelody', melody);
+    regenerateEverything();
+};
+
+// Record toggles: starting clears the melody, stopping learns from what was clicked
+document.getElementById("markovRecord").onclick = (e) => {
+    const input = document.getElementById("markovMelody");
+    markovRecording = !markovRecording;
+    e.target.classList.toggle("playing", markovRecording);
+    if (markovRecording) {
+        input.value = "";
+        return;
+    }
+    document.getElementById("markovSource").value = "learned";
+    appState.set('markovSource', "learned");
+    input.onchange({ target: input });
+};
+
+// Update sequence pattern when order changes
+document.getElementById("sequenceOrder").onchange = (e) => {
+    const order = e.target.value;
+    updateOrderControls(order);
+
     if (appState.playback.isPlaying) {
         generateSequencePattern();
         updateSequenceVisualization(appState);
@@ -748,6 +1217,77 @@ document.getElementById("sequenceOrder").onchange = (e) => {
 
 
 
+// Scheduler lanes: each named lane posts `laneStep` messages, dispatched here by name
+const laneHandlers = new Map();
+
+// Register a lane in the scheduler and the handler for its steps
+// lane: {length, steps, per, offset}; steps/per sets its rate against the global step (3/4 = 3 against 4)
+function registerLane(name, lane, handler) {
+    laneHandlers.set(name, handler);
+    setSchedulerLane(name, lane);
+}
+
+// Tempo ramp: while playing the scheduler glides to the target over the set bars,
+// keeping its position; when stopped the target simply becomes the tempo
+document.getElementById("tempoRamp").onclick = () => {
+    const { rampBpm, rampBars } = appState.params;
+    if (appState.playback.isPlaying && isSchedulerReady()) {
+        updateSchedulerTempoMap([{ bpm: rampBpm, bars: rampBars }]);
+        return;
+    }
+    const bpmDisplay = document.getElementById("bpmValue");
+    bpmDisplay.textContent = rampBpm;
+    appState.set('bpm', rampBpm);
+    handleValueChange(bpmDisplay, rampBpm);
+};
+
+// Groove: swing layered onto the template, sent to the chosen lanes (the others play straight)
+function applyGroove() {
+    if (!isSchedulerReady()) return;
+    const input = document.getElementById("groove");
+    let groove;
+    try {
+        groove = applySwing(parseGroove(appState.params.groove), appState.params.swing);
+        input.classList.remove("invalid");
+        input.title = "";
+    } catch (error) {
+        input.classList.add("invalid");
+        input.title = error.message;
+        groove = applySwing(null, appState.params.swing);
+    }
+    const target = appState.params.grooveLane;
+    ['note', 'phoneme'].forEach((lane) => {
+        updateSchedulerGroove(lane, target === 'both' || target === lane ? groove : null);
+    });
+}
+
+document.getElementById("groove").onchange = (e) => {
+    appState.set('groove', e.target.value.trim());
+    applyGroove();
+};
+
+document.getElementById("grooveTemplate").onchange = (e) => {
+    const text = GROOVE_TEMPLATES[e.target.value] ?? "";
+    document.getElementById("groove").value = text;
+    appState.set('groove', text);
+    applyGroove();
+};
+
+// Groove files hold groove text or JSON {offsets, lengths}, in percent of a step
+document.getElementById("grooveFile").onchange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const text = (await file.text()).trim();
+    document.getElementById("groove").value = text;
+    appState.set('groove', text);
+    applyGroove();
+};
+
+document.getElementById("grooveLane").onchange = (e) => {
+    appState.set('grooveLane', e.target.value);
+    applyGroove();
+};
+
 // Vowel synthesis is now always active - no type switching needed
 
 // Subdivision is now handled by the value control system via handleValueChange
@@ -765,6 +1305,76 @@ document.getElementById("playSequenceTones").onclick = () =>
 document.getElementById("playSequence").onclick = () =>
     playSequence(appState, generateSequencePattern, () => updateSequenceVisualization(appState));
 
+document.getElementById("stopSequence").onclick = () => {
+    stopSequence(appState);
+    showTransportPosition({ globalStep: -1, noteStep: 0, phonemeStep: 0, bar: 1, beat: 1, step: 1 });
+};
+
+// Transport position: readout and playhead, from globalStepChange and position messages
+function showTransportPosition({ globalStep, noteStep, phonemeStep, bar, beat, step }) {
+    appState.playback.globalStep = globalStep;
+    appState.playback.sequencePattern.currentStep = noteStep;
+    appState.playback.phonemePattern.currentStep = phonemeStep;
+    document.getElementById("transportPosition").textContent = `${bar}.${beat}.${step}`;
+    updateSequenceVisualization(appState);
+}
+
+// Steps in one full pattern cycle (the note and phoneme lanes line up again)
+function patternCycleLength() {
+    const noteLength = appState.playback.sequencePattern.steps?.length || 1;
+    const phonemeLength = appState.playback.phonemePattern.vowels?.length || 1;
+    return lcm(noteLength, phonemeLength);
+}
+
+// Parse a loop range ("5-8", 1-based and inclusive) into scheduler steps; null for no loop
+function parseLoopRange(text, cycle) {
+    if (text === "") return null;
+    const match = text.match(/^(\d+)\s*-\s*(\d+)$/);
+    if (!match) throw new Error(`Cannot read loop range "${text}"`);
+    const first = parseInt(match[1]);
+    const last = parseInt(match[2]);
+    if (first < 1 || last < first || last > cycle) {
+        throw new Error(`Loop range must lie within steps 1-${cycle}`);
+    }
+    return { start: first - 1, end: last, cycle };
+}
+
+// Send the loop range for the current pattern cycle (the cycle changes with the patterns)
+function applyLoopRange() {
+    if (!isSchedulerReady()) return;
+    const input = document.getElementById("loopRange");
+    try {
+        updateSchedulerLoop(parseLoopRange(appState.params.loopRange, patternCycleLength()));
+        input.classList.remove("invalid");
+        input.title = "";
+    } catch (error) {
+        input.classList.add("invalid");
+        input.title = error.message;
+        updateSchedulerLoop(null);
+    }
+}
+
+document.getElementById("loopRange").onchange = (e) => {
+    appState.set('loopRange', e.target.value.trim());
+    applyLoopRange();
+};
+
+// Clicking a step column jumps the playhead to that step of the current note cycle
+document.querySelector(".sequence-visualization").addEventListener("click", (e) => {
+    const column = e.target.closest("[data-step]");
+    if (!column || !isSchedulerReady()) return;
+
+    const noteLength = appState.playback.sequencePattern.steps?.length;
+    if (!noteLength) return;
+    const current = Math.max(0, appState.playback.globalStep);
+    seekScheduler(current - (current % noteLength) + parseInt(column.dataset.step));
+
+    // A seek while stopped sets where play starts
+    if (!appState.playback.isPlaying) {
+        appState.playback.isPaused = true;
+    }
+});
+
 // Reshuffle button
 document.getElementById("reshuffleButton").onclick = () => {
     // Generate new random seed for fresh shuffle
@@ -797,6 +1407,294 @@ document.getElementById("randomizeSequence").onclick = () => {
     regenerateEverything();
 };
 
+// Say "equave" rather than "octave" whenever the base tones repeat at anything but 2/1
+function updateEquaveLabels(baseTones) {
+    const equave = baseTones[baseTones.length - 1] / baseTones[0];
+    const isOctave = Math.abs(1200 * Math.log2(equave) - 1200) < 1e-6;
+    document.getElementById("edoLabel").textContent = isOctave
+        ? "EDO (Base Tones)"
+        : "Equave Divisions (Base Tones)";
+    const stacksEquave = appState.params.expansionMode === "equave";
+    document.getElementById("sequenceOctavesLabel").textContent =
+        !stacksEquave ? "Stacks" : isOctave ? "Octaves" : "Equaves";
+}
+
+document.getElementById("equave").onchange = (e) => {
+    const ratio = parseRatio(e.target.value);
+    if (!(ratio > 1)) {
+        e.target.classList.add("invalid");
+        return;
+    }
+    e.target.classList.remove("invalid");
+    appState.set('equave', ratio);
+    regenerateEverything();
+};
+
+// Scala tunings and harmonic series replace the EDO base tones; the EDO control is pinned to their size
+let edoBeforePin = null;
+
+// Number of base steps when something other than the EDO provides them, otherwise null
+function pinnedBaseSize() {
+    const p = appState.params;
+    if (p.tuning) return tuningDegrees(p.tuning).length - 1;
+    if (p.baseSource !== "edo") return p.seriesEnd - p.seriesStart;
+    return null;
+}
+
+function updateEdoPin() {
+    const edoDisplay = document.getElementById("edoValue");
+    let size = pinnedBaseSize();
+    if (size !== null) {
+        if (edoBeforePin === null) edoBeforePin = appState.params.edo;
+        edoDisplay.dataset.min = size;
+        edoDisplay.dataset.max = size;
+    } else {
+        if (edoBeforePin === null) return;
+        size = edoBeforePin;
+        edoDisplay.dataset.min = 5;
+        edoDisplay.dataset.max = 24;
+        edoBeforePin = null;
+    }
+
+    edoDisplay.textContent = size;
+    updateDependentControls("edo", size);
+}
+
+function applyTuning(tuning) {
+    appState.set('tuning', tuning);
+    updateEdoPin();
+    updateTuningName();
+    generateTones();
+}
+
+function applyBaseSeries() {
+    const start = parseInt(document.getElementById("seriesStart").value);
+    const end = parseInt(document.getElementById("seriesEnd").value);
+    const valid = start >= 1 && end > start;
+    document.getElementById("seriesStart").classList.toggle("invalid", !valid);
+    document.getElementById("seriesEnd").classList.toggle("invalid", !valid);
+    if (!valid) return;
+
+    appState.set('baseSource', document.getElementById("baseSource").value);
+    appState.set('seriesStart', start);
+    appState.set('seriesEnd', end);
+    updateEdoPin();
+    generateTones();
+}
+
+document.getElementById("baseSource").onchange = applyBaseSeries;
+document.getElementById("seriesStart").onchange = applyBaseSeries;
+document.getElementById("seriesEnd").onchange = applyBaseSeries;
+
+function updateTuningName() {
+    const tuning = appState.params.tuning;
+    const label = document.getElementById("tuningName");
+    if (!tuning) {
+        label.textContent = "EDO";
+        return;
+    }
+    let text = tuning.scl.description || tuning.name;
+    if (tuning.kbm) {
+        text += ` (root ${tuningRootFrequency(tuning).toFixed(2)} Hz from .kbm)`;
+    }
+    label.textContent = text;
+}
+
+document.getElementById("sclFile").onchange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+        const scl = parseScl(await file.text());
+        applyTuning({ scl, kbm: appState.params.tuning?.kbm || null, name: file.name });
+    } catch (error) {
+        console.error(`Failed to load ${file.name}:`, error);
+        document.getElementById("tuningName").textContent = error.message;
+    }
+};
+
+document.getElementById("kbmFile").onchange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    if (!appState.params.tuning) {
+        document.getElementById("tuningName").textContent = "Load a .scl file before its .kbm";
+        e.target.value = "";
+        return;
+    }
+    try {
+        const kbm = parseKbm(await file.text());
+        applyTuning({ ...appState.params.tuning, kbm });
+    } catch (error) {
+        console.error(`Failed to load ${file.name}:`, error);
+        document.getElementById("tuningName").textContent = error.message;
+    }
+};
+
+document.getElementById("clearTuning").onclick = () => {
+    document.getElementById("sclFile").value = "";
+    document.getElementById("kbmFile").value = "";
+    applyTuning(null);
+};
+
+// Export: the selected stage as Scala/AnaMark files, or all tone data as JSON
+function exportBaseName() {
+    const source = appState.params.tuning
+        ? appState.params.tuning.name.replace(/\.scl$/i, "")
+        : `${appState.params.edo}edo`;
+    return `${source}-${document.getElementById("exportTarget").value}`;
+}
+
+function exportDegrees() {
+    const target = document.getElementById("exportTarget").value;
+    const tones = target === "scale" ? currentData.scaleTones : currentData.chordTones;
+    const indices = target === "scale" ? currentData.scaleIndices : currentData.chordIndices;
+    // Stage tones share the base indices unless a MOS scale replaced them; base labels hold exact ratios
+    const ratios = currentData.mos
+        ? []
+        : currentData.baseLabels.map((label) => (label.includes("/") ? label : null));
+    return toneSetDegrees(tones, indices, ratios);
+}
+
+function exportDescription() {
+    const target = document.getElementById("exportTarget").value;
+    const p = appState.params;
+    const source = p.tuning ? p.tuning.scl.description || p.tuning.name : `${p.edo}-EDO`;
+    return target === "scale"
+        ? `${source} ${p.scaleMethod} scale ${currentData.scaleIndices.length - 1} rot ${p.scaleRotation}`
+        : `${source} ${p.chordMethod} chord ${p.chordNotes} of scale ${p.scaleNotes}, rot ${p.chordRotation}`;
+}
+
+document.getElementById("exportScl").onclick = () => {
+    const filename = `${exportBaseName()}.scl`;
+    downloadTextFile(filename, formatScl(exportDescription(), exportDegrees(), filename));
+};
+
+document.getElementById("exportKbm").onclick = () => {
+    downloadTextFile(
+        `${exportBaseName()}.kbm`,
+        formatKbm(exportDegrees().length, currentData.baseTones[0]),
+    );
+};
+
+document.getElementById("exportTun").onclick = () => {
+    const frequencies = midiNoteFrequencies(exportDegrees(), currentData.baseTones[0]);
+    downloadTextFile(`${exportBaseName()}.tun`, formatTun(exportDescription(), frequencies));
+};
+
+document.getElementById("exportJson").onclick = () => {
+    const data = buildToneDataExport(currentData, appState.params, appState.playback.sequencePattern);
+    downloadTextFile(
+        `${exportBaseName().replace(/-(scale|chord)$/, "")}-tones.json`,
+        JSON.stringify(data, null, 2),
+        "application/json",
+    );
+};
+
+// Consonance ranking: score every EDO and rotation for the current scale and chord sizes
+document.getElementById("jiLimit").onchange = (e) => {
+    const limit = parseInt(e.target.value);
+    if (!(limit >= 2)) return;
+    appState.set('jiLimit', limit);
+    regenerateEverything();
+};
+
+document.getElementById("rankConsonance").onclick = () => {
+    const results = rankChordConsonance(appState.params, {
+        edoMin: parseInt(document.getElementById("rankEdoMin").value) || 5,
+        edoMax: parseInt(document.getElementById("rankEdoMax").value) || 24,
+        limit: appState.params.jiLimit,
+    });
+
+    displayConsonanceRanking("consonanceList", results.slice(0, 50), applyEdoResult);
+};
+
+// Reverse lookup: find the parameters that reproduce a target scale or chord
+document.getElementById("solveTarget").onclick = () => {
+    const input = document.getElementById("solverTarget");
+    let target;
+    try {
+        target = parsePitchSet(input.value, document.getElementById("solverUnit").value);
+    } catch (error) {
+        console.warn(error.message);
+        input.classList.add("invalid");
+        return;
+    }
+    input.classList.remove("invalid");
+
+    const results = solveToneParameters(target, appState.params, {
+        stage: document.getElementById("solverStage").value,
+        tolerance: parseFloat(document.getElementById("solverTolerance").value) || 0,
+    });
+    displaySolverResults("solverList", results.slice(0, 100), applyEdoResult);
+};
+
+// Apply an EDO search result (ranking or solver) to the controls and regenerate
+// Results are for EDOs, so choosing one leaves any Scala tuning or harmonic series
+function applyEdoResult(result) {
+    if (appState.params.tuning) {
+        document.getElementById("sclFile").value = "";
+        document.getElementById("kbmFile").value = "";
+        appState.set('tuning', null);
+        updateTuningName();
+    }
+    if (appState.params.baseSource !== "edo") {
+        document.getElementById("baseSource").value = "edo";
+        appState.set('baseSource', "edo");
+    }
+    updateEdoPin();
+    if (appState.params.scaleMethod === "mos") {
+        document.getElementById("scaleMethod").value = "euclidean";
+    }
+
+    const setDisplay = (param, value) => {
+        if (value === undefined) return;
+        document.getElementById(`${param}Value`).textContent = value;
+        updateDependentControls(param, value);
+    };
+    setDisplay("edo", result.edo);
+    setDisplay("scaleNotes", result.scaleNotes);
+    setDisplay("chordNotes", result.chordNotes);
+    document.getElementById("scaleRotationValue").textContent = result.scaleRotation;
+    if (result.chordRotation !== undefined) {
+        document.getElementById("chordRotationValue").textContent = result.chordRotation;
+    }
+    generateTones();
+}
+
+// Necklace browser: list every necklace for the chosen stage and assign one on click
+function listNecklaces() {
+    const target = document.getElementById("necklaceTarget").value;
+    const edo = currentData.baseTones.length - 1;
+    const pulses = target === "scale" ? appState.params.scaleNotes : appState.params.chordNotes;
+    const steps = target === "scale"
+        ? edo
+        : currentData.scaleIndices.filter((index) => index < edo).length;
+
+    const minEvenness = parseFloat(document.getElementById("necklaceMinEvenness").value) || 0;
+    const predicates = [];
+    if (minEvenness > 0) predicates.push((pattern) => normalizedEvenness(pattern) >= minEvenness);
+    if (document.getElementById("necklaceDeep").checked) predicates.push(isDeep);
+
+    const necklaces = enumerateNecklaces(pulses, steps, {
+        maxRun: parseInt(document.getElementById("necklaceMaxRun").value) || 0,
+        predicates,
+    });
+
+    const methodParam = `${target}Method`;
+    const necklaceParam = `${target}Necklace`;
+    const activeNecklace = appState.params[methodParam] === "necklace"
+        ? appState.params[necklaceParam]
+        : null;
+
+    displayNecklaceList("necklaceList", necklaces, activeNecklace, (necklace) => {
+        appState.set(necklaceParam, necklace);
+        document.getElementById(methodParam).value = "necklace";
+        generateTones();
+        listNecklaces();
+    });
+}
+
+document.getElementById("listNecklaces").onclick = listNecklaces;
+
 // Initialize application with state synchronization
 async function initializeApp() {
     // Sync state from DOM
@@ -816,37 +1714,70 @@ async function initializeApp() {
             const { type, payload } = event.data;
             
             if (type === 'globalStepChange') {
-                // Update current step tracking for visualization
-                appState.playback.sequencePattern.currentStep = payload.noteStep;
-                appState.playback.phonemePattern.currentStep = payload.phonemeStep;
-                
-                // Update visualization to show both sequences
-                updateSequenceVisualization(appState);
+                // Follow the scheduler's tempo map (ramps change the tempo step by step)
+                if (Math.abs(payload.bpm - appState.params.bpm) > 1e-6) {
+                    appState.set('bpm', payload.bpm);
+                    document.getElementById("bpmValue").textContent = Math.round(payload.bpm);
+                }
+
+                // Sequence cycle boundary: advance progression and modulation before this step's note fires
+                // (a resumed step has already advanced them)
+                if (payload.noteStep === 0 && payload.globalStep !== appState.playback.globalStep) {
+                    advanceCycleLanes(payload.globalStep);
+                }
+                appState.playback.globalStep = payload.globalStep;
+
+                // Steps arrive ahead of time; show the playhead when the step actually starts
+                const delay = Math.max(0, (payload.time - audioContext.currentTime) * 1000);
+                setTimeout(() => {
+                    if (!appState.playback.isPlaying) return;
+
+                    // Update readout, current step tracking and visualization
+                    showTransportPosition(payload);
+                }, delay);
                 
                 // console.log(`🎵 GLOBAL STEP ${payload.globalStep}: note[${payload.noteStep}] phoneme[${payload.phonemeStep}] time=${payload.elapsedTime.toFixed(3)}s`);
             }
             
-            if (type === 'noteStepChange') {
-                // Trigger note sequence step (no phoneme coupling)
-                const freq = appState.playback.sequencePattern.steps[payload.noteStep];
-                if (freq) {
-                    console.log(`🎵 NOTE STEP ${payload.noteStep}: freq=${freq.toFixed(1)}Hz [time: ${payload.elapsedTime?.toFixed(3)}s]`);
-                    triggerMonoStep(appState, payload.noteStep, freq);
-                }
+            if (type === 'position') {
+                // Paused or stopped: the scheduler reports where play will resume
+                showTransportPosition(payload);
             }
-            
-            if (type === 'phonemeStepChange') {
-                // Update synthesizer vowel in real-time (independent of note triggers)
-                const vowelPosition = appState.playback.phonemePattern.positions[payload.phonemeStep];
-                if (vowelPosition) {
-                    // Calculate portamento time for this step to sync vowel changes with frequency changes
-                    const portamentoTime = calculatePortamentoTime(appState, payload.phonemeStep);
-                    updateSynthVowel(appState, vowelPosition, portamentoTime);
-                }
-                console.log(`🗣️ PHONEME STEP ${payload.phonemeStep}: vowel=(${vowelPosition?.x.toFixed(2)}, ${vowelPosition?.y.toFixed(2)}) [time: ${payload.elapsedTime?.toFixed(3)}s]`);
+
+            if (type === 'laneStep') {
+                const handler = laneHandlers.get(payload.lane);
+                if (handler) handler(payload);
             }
         };
         // console.log('🎵 AudioWorklet message handler set up');
+
+        // The note and phoneme sequences run as scheduler lanes; lengths follow their patterns
+        registerLane('note', { length: appState.playback.sequencePattern.steps?.length || 1 }, (payload) => {
+            // Trigger note sequence step (no phoneme coupling)
+            const freq = appState.playback.sequencePattern.steps[payload.step];
+            if (portamentoFollowsSturmianWord()) {
+                // The grid shows the word as it last passed each step
+                appState.playback.sequencePattern.portamento[payload.step] =
+                    sturmianStep(appState.params.sturmianDensity, payload.count + appState.params.portamentoRotation);
+            }
+            if (freq) {
+                console.log(`🎵 NOTE STEP ${payload.step}: freq=${freq.toFixed(1)}Hz [time: ${payload.elapsedTime?.toFixed(3)}s]`);
+                // Tempered here so triggerMonoStep glides to it with the usual portamento timing,
+                // scheduled at the step's audio time (and gated to its groove length, if any)
+                triggerMonoStep(appState, payload.step, playedFrequency(freq), payload.time, payload.length);
+            }
+        });
+        registerLane('phoneme', { length: appState.playback.phonemePattern.vowels?.length || 1 }, (payload) => {
+            // Update synthesizer vowel in real-time (independent of note triggers)
+            const vowelPosition = appState.playback.phonemePattern.positions[payload.step];
+            if (vowelPosition) {
+                // Calculate portamento time for this step to sync vowel changes with frequency changes
+                const portamentoTime = calculatePortamentoTime(appState, payload.step);
+                updateSynthVowel(appState, vowelPosition, portamentoTime, payload.time);
+            }
+            console.log(`🗣️ PHONEME STEP ${payload.step}: vowel=(${vowelPosition?.x.toFixed(2)}, ${vowelPosition?.y.toFixed(2)}) [time: ${payload.elapsedTime?.toFixed(3)}s]`);
+        });
+        applyGroove();
     } else {
         console.warn('⚠️ AudioWorklet not available, falling back to animation frame timing');
     }
@@ -854,14 +1785,8 @@ async function initializeApp() {
     // Generate initial tone data using pure functions
     currentData = generateToneData(appState.params);
 
-    // Initialize reshuffle button visibility
-    const sequenceOrder = document.getElementById("sequenceOrder").value;
-    const reshuffleControl = document.getElementById("sequenceShuffleControl");
-    if (sequenceOrder === "shuffle") {
-        reshuffleControl.style.display = "block";
-    } else {
-        reshuffleControl.style.display = "none";
-    }
+    // Initialize reshuffle button and order step visibility
+    updateOrderControls(document.getElementById("sequenceOrder").value);
 
     // Initialize randomize button visibility based on sequence method
     const sequenceMethod = document.getElementById("sequenceMethod").value;
@@ -869,14 +1794,15 @@ async function initializeApp() {
     const randomizeControl = document.getElementById(
         "sequenceRandomizeControl",
     );
-    if (sequenceMethod === "euclidean") {
-        rotationControl.style.display = "block";
-        randomizeControl.style.display = "none";
-    } else if (sequenceMethod === "random") {
+    if (sequenceMethod === "random") {
         rotationControl.style.display = "none";
         randomizeControl.style.display = "block";
+    } else {
+        rotationControl.style.display = "block";
+        randomizeControl.style.display = "none";
     }
 
+    updateSturmianLengthOptions();
     updateTonesDisplay();
 
     // Generate initial sequence pattern and visualization
@@ -0,0 +1,108 @@
+/**
+ * Moment-of-Symmetry Scales
+ *
+ * Scales built by stacking a generator interval inside a period (e.g. fifths
+ * of 700 cents inside a 1200 cent octave). A stack is a moment of symmetry
+ * (MOS) when it has exactly two step sizes, L and s; the sizes at which that
+ * happens are the denominators of the semiconvergents of generator / period.
+ */
+
+import { continuedFraction, convergents } from './euclidean.js';
+
+/**
+ * Reduce a value in cents into [0, period), snapping values within rounding of the period to 0
+ * @param {number} cents - Value in cents
+ * @param {number} periodCents - Period in cents
+ * @returns {number} Reduced value
+ */
+function reduceToPeriod(cents, periodCents) {
+    const reduced = ((cents % periodCents) + periodCents) % periodCents;
+    return periodCents - reduced < 1e-9 ? 0 : reduced;
+}
+
+/**
+ * Stack a generator into a scale
+ *
+ * @param {number} generatorCents - Generator size in cents
+ * @param {number} periodCents - Period (interval of repetition) in cents
+ * @param {number} size - Number of notes per period
+ * @returns {{cents: number[], steps: number[]}} Degrees above the root (starting at 0)
+ *   and the step size after each degree
+ *
+ * @example
+ * mosScale(700, 1200, 5).cents // Returns [0, 200, 400, 700, 900]
+ */
+export function mosScale(generatorCents, periodCents, size) {
+    const cents = [];
+    for (let k = 0; k < size; k++) {
+        cents.push(reduceToPeriod(k * generatorCents, periodCents));
+    }
+    cents.sort((a, b) => a - b);
+
+    const steps = cents.map((value, i) => (i + 1 < size ? cents[i + 1] : periodCents) - value);
+    return { cents, steps };
+}
+
+/**
+ * Describe a list of step sizes as a large/small pattern
+ *
+ * @param {number[]} steps - Step sizes in cents
+ * @returns {{pattern: string, large: number, small: number, largeCount: number,
+ *   smallCount: number, isMos: boolean}} Pattern such as "LLsLLLs"; isMos is
+ *   false when there are more than two step sizes or repeated notes
+ */
+export function mosStepPattern(steps) {
+    const tolerance = 1e-6;
+    const large = Math.max(...steps);
+    const small = Math.min(...steps);
+    // A zero step means the stack has closed and started repeating notes
+    const isMos = small > tolerance && steps.every(
+        (step) => Math.abs(step - large) < tolerance || Math.abs(step - small) < tolerance,
+    );
+    const pattern = steps
+        .map((step) => (large - small < tolerance || Math.abs(step - large) < tolerance ? "L" : "s"))
+        .join("");
+    const largeCount = pattern.split("").filter((letter) => letter === "L").length;
+
+    return { pattern, large, small, largeCount, smallCount: steps.length - largeCount, isMos };
+}
+
+/**
+ * List every MOS size reachable by stacking a generator
+ *
+ * The sizes are the semiconvergent denominators of generator / period; each
+ * one is checked to really have two step sizes (or one, once the generator
+ * closes into an equal temperament).
+ *
+ * @param {number} generatorCents - Generator size in cents
+ * @param {number} periodCents - Period in cents
+ * @param {number} [maxSize=64] - Largest scale size to report
+ * @returns {number[]} Sizes in ascending order (at least 2 notes)
+ *
+ * @example
+ * mosSizes(700, 1200, 12) // Returns [2, 3, 5, 7, 12]
+ */
+export function mosSizes(generatorCents, periodCents = 1200, maxSize = 64) {
+    const fraction = reduceToPeriod(generatorCents, periodCents) / periodCents;
+    if (fraction === 0) return [];
+
+    const cf = continuedFraction(fraction, 1, 16);
+    const denominators = convergents(cf).map(([, den]) => den);
+
+    const sizes = new Set();
+    for (let n = 1; n < cf.length; n++) {
+        const previous = denominators[n - 1];
+        const beforePrevious = n >= 2 ? denominators[n - 2] : 0;
+        for (let m = 1; m <= cf[n]; m++) {
+            const size = m * previous + beforePrevious;
+            if (size > maxSize) break;
+            sizes.add(size);
+        }
+        if (denominators[n] > maxSize) break;
+    }
+
+    return [...sizes]
+        .filter((size) => size >= 2)
+        .filter((size) => mosStepPattern(mosScale(generatorCents, periodCents, size).steps).isMos)
+        .sort((a, b) => a - b);
+}
@@ -0,0 +1,215 @@
+/**
+ * Note Names
+ *
+ * Names for the pitches of any EDO using ups-and-downs notation: the seven
+ * nominals come from a chain of the EDO's best fifth, sharps and flats move
+ * by the EDO's apotome (7 fifths minus 4 octaves), and ups (^) and downs (v)
+ * move by a single EDO step. Pitches are counted from C4 = 261.63 Hz.
+ */
+
+const C4_FREQ = 440 * Math.pow(2, -9 / 12);
+
+const TWELVE_TET_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+// Nominals as positions on the chain of fifths from C, with the octaves that bring
+// each back into C's octave (B is 5 fifths down 2 octaves, as in 12-TET)
+const NOMINALS = [
+    { letter: "C", fifths: 0, octaves: 0 },
+    { letter: "D", fifths: 2, octaves: -1 },
+    { letter: "E", fifths: 4, octaves: -2 },
+    { letter: "F", fifths: -1, octaves: 1 },
+    { letter: "G", fifths: 1, octaves: 0 },
+    { letter: "A", fifths: 3, octaves: -1 },
+    { letter: "B", fifths: 5, octaves: -2 },
+];
+
+export const NAMING_SCHEMES = ["updown", "degree", "12tet", "cents"];
+
+/**
+ * Size of the EDO's best approximation to 3/2
+ * @param {number} edo - Divisions of the octave
+ * @returns {number} Fifth in steps
+ */
+export function edoFifth(edo) {
+    return Math.round(edo * Math.log2(3 / 2));
+}
+
+/**
+ * Render an accidental count as repeated symbols
+ * @param {number} count - Positive for the first symbol, negative for the second
+ * @param {string} positive - Symbol for positive counts
+ * @param {string} negative - Symbol for negative counts
+ * @returns {string} Accidentals, e.g. "##" or "vv"
+ */
+function accidentals(count, positive, negative) {
+    return (count >= 0 ? positive : negative).repeat(Math.abs(count));
+}
+
+/**
+ * Compare spelling costs lexicographically
+ * @param {number[]} a - First cost
+ * @param {number[]} b - Second cost
+ * @returns {number} Negative if a is simpler, positive if b is, 0 if equal
+ */
+function compareCosts(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+/**
+ * Ups-and-downs names for every pitch class of an EDO, starting at C
+ *
+ * Each pitch class takes the spelling with the fewest accidentals; ties go to
+ * fewer ups/downs, then sharps over flats, then ups over downs.
+ *
+ * @param {number} edo - Divisions of the octave
+ * @returns {string[]} One name per step
+ *
+ * @example
+ * edoNoteNames(19).slice(0, 4) // Returns ["C", "C#", "Db", "D"]
+ * edoNoteNames(24).slice(0, 4) // Returns ["C", "^C", "C#", "vD"]
+ */
+export function edoNoteNames(edo) {
+    const fifth = edoFifth(edo);
+    const sharp = 7 * fifth - 4 * edo;
+    const mod = (value) => ((value % edo) + edo) % edo;
+    const maxUps = Math.ceil(edo / 2);
+
+    const best = new Array(edo).fill(null);
+    NOMINALS.forEach(({ letter, fifths }) => {
+        const natural = mod(fifths * fifth);
+        for (let sharps = -2; sharps <= 2; sharps++) {
+            for (let ups = -maxUps; ups <= maxUps; ups++) {
+                const step = mod(natural + sharps * sharp + ups);
+                const cost = [
+                    Math.abs(sharps) + Math.abs(ups),
+                    Math.abs(ups),
+                    sharps < 0 ? 1 : 0,
+                    ups < 0 ? 1 : 0,
+                ];
+                if (!best[step] || compareCosts(cost, best[step].cost) < 0) {
+                    best[step] = {
+                        cost,
+                        name: `${accidentals(ups, "^", "v")}${letter}${accidentals(sharps, "#", "b")}`,
+                    };
+                }
+            }
+        }
+    });
+    return best.map((entry) => entry.name);
+}
+
+/**
+ * Octaves a spelling reaches past its pitch class
+ *
+ * A spelling can cross C: in 22-EDO, B# is step 2 of the octave above B, so the
+ * pitch class 2 spelled B# belongs to the octave number below.
+ *
+ * @param {string} name - Pitch-class name from edoNoteNames
+ * @param {number} pitchClass - Step the name is for, in [0, edo)
+ * @param {number} edo - Divisions of the octave
+ * @returns {number} Octaves to subtract from the step's own octave number
+ */
+function spellingOctaveShift(name, pitchClass, edo) {
+    const match = name.match(/^(\^*|v*)([A-G])(#*|b*)$/);
+    if (!match) return 0;
+    const [, upsText, letter, sharpsText] = match;
+    const { fifths, octaves } = NOMINALS.find((nominal) => nominal.letter === letter);
+    const fifth = edoFifth(edo);
+    const ups = upsText.startsWith("^") ? upsText.length : -upsText.length;
+    const sharps = sharpsText.startsWith("#") ? sharpsText.length : -sharpsText.length;
+    const spelled = fifths * fifth + octaves * edo + sharps * (7 * fifth - 4 * edo) + ups;
+    return Math.round((spelled - pitchClass) / edo);
+}
+
+/**
+ * Name of an absolute EDO step counted from C4
+ *
+ * The octave number follows the spelled letter, so a B# just above C4 is B#3.
+ *
+ * @param {number} step - Steps above (or below) C4
+ * @param {number} edo - Divisions of the octave
+ * @param {string[]} [names] - Precomputed edoNoteNames(edo)
+ * @returns {string} Name with octave number, e.g. "^Eb4"
+ */
+export function edoStepName(step, edo, names = edoNoteNames(edo)) {
+    const pitchClass = ((step % edo) + edo) % edo;
+    const octave = 4 + Math.floor(step / edo) - spellingOctaveShift(names[pitchClass], pitchClass, edo);
+    return `${names[pitchClass]}${octave}`;
+}
+
+/**
+ * Frequency of an absolute EDO step counted from C4
+ * @param {number} step - Steps above (or below) C4
+ * @param {number} edo - Divisions of the octave
+ * @returns {number} Frequency in Hz
+ */
+export function edoStepFrequency(step, edo) {
+    return C4_FREQ * Math.pow(2, step / edo);
+}
+
+/**
+ * Nearest EDO step (counted from C4) to a frequency
+ * @param {number} freq - Frequency in Hz
+ * @param {number} edo - Divisions of the octave
+ * @returns {number} Absolute step
+ */
+export function nearestEdoStep(freq, edo) {
+    return Math.round(edo * Math.log2(freq / C4_FREQ));
+}
+
+/**
+ * Nearest 12-TET pitch and the deviation from it
+ * @param {number} freq - Frequency in Hz
+ * @returns {{name: string, deviation: number}} Name such as "A4" and deviation in cents
+ */
+export function nearestTwelveTet(freq) {
+    const midi = 69 + 12 * Math.log2(freq / 440);
+    const rounded = Math.round(midi);
+    return {
+        name: `${TWELVE_TET_NAMES[((rounded % 12) + 12) % 12]}${Math.floor(rounded / 12) - 1}`,
+        deviation: (midi - rounded) * 100,
+    };
+}
+
+/**
+ * Describe a tone relative to the root
+ *
+ * EDO schemes ("updown", "degree") need an octave-repeating EDO; pass edo as
+ * null otherwise and the 12-TET name is used instead.
+ *
+ * @param {number} freq - Tone frequency in Hz
+ * @param {number} rootFreq - Root frequency in Hz
+ * @param {{edo: number|null, scheme: string}} naming - Naming options
+ * @returns {{name: string, cents: number, twelveTet: string, deviation: number}} Tone description
+ */
+export function describeTone(freq, rootFreq, { edo = null, scheme = "updown" } = {}) {
+    const cents = 1200 * Math.log2(freq / rootFreq);
+    const { name: twelveTet, deviation } = nearestTwelveTet(freq);
+
+    let name = twelveTet;
+    if (scheme === "cents") {
+        name = "";
+    } else if (edo && scheme === "updown") {
+        // Count from the root's own step so tones a whole number of steps away are named exactly
+        const rootStep = nearestEdoStep(rootFreq, edo);
+        name = edoStepName(rootStep + Math.round((cents * edo) / 1200), edo);
+    } else if (edo && scheme === "degree") {
+        name = `${Math.round((cents * edo) / 1200)}\\${edo}`;
+    }
+    return { name, cents, twelveTet, deviation };
+}
+
+/**
+ * Two-line label for a tone column: name and cents, then the nearest 12-TET pitch
+ * @param {{name: string, cents: number, twelveTet: string, deviation: number}} tone - From describeTone
+ * @returns {string} Label text
+ */
+export function formatToneLabel({ name, cents, twelveTet, deviation }) {
+    const sign = (value) => (value >= 0 ? "+" : "−");
+    const centsText = `${Math.round(cents)}¢`;
+    const deviationText = `${sign(deviation)}${Math.abs(Math.round(deviation))}`;
+    return `${name ? `${name} ` : ""}${centsText}\n${twelveTet}${deviationText}`;
+}
@@ -5,6 +5,7 @@
  * 1. Batching simultaneous parameter changes
  * 2. Coordinating timing to prevent cancelScheduledValues conflicts
  * 3. Managing smooth transitions without interrupting each other
+ * 4. Scheduling updates at future audio times (lookahead sequencing)
  */
 
 class ParameterCoordinator {
@@ -12,6 +13,7 @@ class ParameterCoordinator {
         this.pendingUpdates = new Map(); // audioParam -> {value, rampTime, priority}
         this.updateTimeout = null;
         this.isProcessing = false;
+        this.lastTargets = new WeakMap(); // audioParam -> last target value (its value once scheduled ramps finish)
     }
 
     /**
@@ -21,10 +23,17 @@ class ParameterCoordinator {
      * @param {number} rampTime - Ramp duration in seconds
      * @param {number} priority - Higher number = higher priority
      * @param {string} source - Source identifier for debugging
+     * @param {number|null} startTime - Audio time to start at; timed updates skip batching
      */
-    scheduleUpdate(audioParam, targetValue, rampTime = 0.005, priority = 0, source = 'unknown') {
+    scheduleUpdate(audioParam, targetValue, rampTime = 0.005, priority = 0, source = 'unknown', startTime = null) {
         if (!audioParam) return;
 
+        // Timed updates come from the lookahead scheduler, one per step, and are already ordered
+        if (startTime !== null) {
+            this.applySingleUpdate(audioParam, { targetValue, rampTime, source }, startTime);
+            return;
+        }
+
         // Store or update the pending change
         const updateKey = audioParam;
         const existing = this.pendingUpdates.get(updateKey);
@@ -100,20 +109,30 @@ class ParameterCoordinator {
 
     /**
      * Apply a single parameter update following W3C recommendations
+     * @param {AudioParam} audioParam - The parameter to update
+     * @param {Object} update - Target value, ramp time and source
+     * @param {number} time - Audio time the update starts at (now, or later for timed updates)
      */
-    applySingleUpdate(audioParam, update, now) {
+    applySingleUpdate(audioParam, update, time) {
         const { targetValue, rampTime, source } = update;
+        const now = window.audioContext?.currentTime || 0;
+
+        // A future start can't read the value it will have then; use the last scheduled target instead
+        const startValue = time > now && this.lastTargets.has(audioParam)
+            ? this.lastTargets.get(audioParam)
+            : audioParam.value;
 
         // W3C recommended sequence: cancel -> set current -> ramp
-        audioParam.cancelScheduledValues(now);
-        audioParam.setValueAtTime(audioParam.value, now);
+        audioParam.cancelScheduledValues(time);
+        audioParam.setValueAtTime(startValue, time);
         
         if (rampTime > 0) {
-            audioParam.linearRampToValueAtTime(targetValue, now + rampTime);
+            audioParam.linearRampToValueAtTime(targetValue, time + rampTime);
         } else {
             // Immediate change
-            audioParam.setValueAtTime(targetValue, now);
+            audioParam.setValueAtTime(targetValue, time);
         }
+        this.lastTargets.set(audioParam, targetValue);
 
         // Debug logging for parameter updates
         if (source.includes('frequency') || source.includes('portamento')) {
@@ -150,14 +169,15 @@ class ParameterCoordinator {
 export const parameterCoordinator = new ParameterCoordinator();
 
 // Convenience functions for common use cases
-export function updateFrequencyParam(audioParam, frequency, rampTime, source = 'frequency') {
-    parameterCoordinator.scheduleUpdate(audioParam, frequency, rampTime, 10, source); // High priority
+// Pass startTime (audio time) to schedule ahead; omit it to apply now
+export function updateFrequencyParam(audioParam, frequency, rampTime, source = 'frequency', startTime = null) {
+    parameterCoordinator.scheduleUpdate(audioParam, frequency, rampTime, 10, source, startTime); // High priority
 }
 
-export function updateVowelParam(audioParam, value, rampTime = 0.005, source = 'vowel') {
-    parameterCoordinator.scheduleUpdate(audioParam, value, rampTime, 5, source); // Medium priority
+export function updateVowelParam(audioParam, value, rampTime = 0.005, source = 'vowel', startTime = null) {
+    parameterCoordinator.scheduleUpdate(audioParam, value, rampTime, 5, source, startTime); // Medium priority
 }
 
-export function updateGeneralParam(audioParam, value, rampTime = 0.005, source = 'general') {
-    parameterCoordinator.scheduleUpdate(audioParam, value, rampTime, 1, source); // Low priority
+export function updateGeneralParam(audioParam, value, rampTime = 0.005, source = 'general', startTime = null) {
+    parameterCoordinator.scheduleUpdate(audioParam, value, rampTime, 1, source, startTime); // Low priority
 }
\ No newline at end of file
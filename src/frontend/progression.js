@@ -0,0 +1,153 @@
+/**
+ * Chord Progressions
+ *
+ * A progression is a list of slots, each giving a chord rotation and
+ * optionally a scale rotation. A modulation is a list of root transpositions.
+ * Playback steps through the slots every N sequence cycles, counted from the
+ * scheduler's global step.
+ */
+
+import { evaluatePatternExpression } from './euclidean.js';
+
+/**
+ * Parse a progression
+ *
+ * Two forms are accepted:
+ * - A list of slots, `chord` or `chord/scale`: "0 2 1/3 0"
+ * - A pattern expression, e.g. "E(3,8)": each pulse advances the chord
+ *   rotation by one, so the chord changes on pulses and holds on rests
+ *
+ * @param {string} text - Progression source
+ * @param {number} chordNotes - Chord size (rotations wrap at this count)
+ * @returns {Array<{chordRotation: number, scaleRotation: number|null}>} Slots (empty for blank input)
+ * @throws {Error} If the text is neither a slot list nor a valid expression
+ *
+ * @example
+ * parseProgression("0 2 1/3", 3)
+ * // Returns [{chordRotation: 0, scaleRotation: null}, {chordRotation: 2, scaleRotation: null},
+ * //          {chordRotation: 1, scaleRotation: 3}]
+ */
+export function parseProgression(text, chordNotes) {
+    const source = text.trim();
+    if (source === "") return [];
+
+    const wrap = (rotation) => ((rotation % chordNotes) + chordNotes) % chordNotes;
+
+    if (/^[\d\s/,]+$/.test(source)) {
+        return source
+            .split(/[\s,]+/)
+            .filter((token) => token !== "")
+            .map((token) => {
+                const [chord, scale] = token.split("/");
+                const chordRotation = parseInt(chord);
+                if (Number.isNaN(chordRotation)) {
+                    throw new Error(`Invalid progression slot "${token}"`);
+                }
+                return {
+                    chordRotation: wrap(chordRotation),
+                    scaleRotation: scale === undefined || scale === "" ? null : parseInt(scale),
+                };
+            });
+    }
+
+    const pattern = evaluatePatternExpression(source);
+    let rotation = -1;
+    return pattern.map((pulse) => {
+        if (pulse || rotation < 0) rotation++;
+        return { chordRotation: wrap(rotation), scaleRotation: null };
+    });
+}
+
+/**
+ * Find the progression slot for a sequence cycle
+ *
+ * @param {number} cycle - Completed sequence cycles since playback started
+ * @param {number} cyclesPerSlot - Cycles each slot lasts
+ * @param {number} slotCount - Number of slots in the progression
+ * @returns {number} Slot index
+ */
+export function progressionSlot(cycle, cyclesPerSlot, slotCount) {
+    if (slotCount === 0) return 0;
+    return Math.floor(cycle / Math.max(1, cyclesPerSlot)) % slotCount;
+}
+
+/**
+ * Parse a modulation
+ *
+ * Two forms are accepted:
+ * - A list of base-step offsets from the root: "0 5 -2 7"
+ * - A pattern expression, e.g. "E(3,8)": each pulse moves the root up to the
+ *   next scale degree, so the key changes on pulses and holds on rests
+ *
+ * @param {string} text - Modulation source
+ * @returns {Array<{steps: number}|{degree: number}>} Slots (empty for blank input)
+ * @throws {Error} If the text is neither an offset list nor a valid expression
+ *
+ * @example
+ * parseModulation("0 5 -2") // Returns [{steps: 0}, {steps: 5}, {steps: -2}]
+ * parseModulation("E(2,4)") // Returns [{degree: 0}, {degree: 0}, {degree: 1}, {degree: 1}]
+ */
+export function parseModulation(text) {
+    const source = text.trim();
+    if (source === "") return [];
+
+    if (/^[-+\d\s,]+$/.test(source)) {
+        return source
+            .split(/[\s,]+/)
+            .filter((token) => token !== "")
+            .map((token) => {
+                const steps = parseInt(token);
+                if (Number.isNaN(steps)) {
+                    throw new Error(`Invalid modulation offset "${token}"`);
+                }
+                return { steps };
+            });
+    }
+
+    const pattern = evaluatePatternExpression(source);
+    let degree = -1;
+    return pattern.map((pulse) => {
+        if (pulse || degree < 0) degree++;
+        return { degree };
+    });
+}
+
+/**
+ * Frequency ratio a modulation slot transposes the root by
+ *
+ * Offsets count base tones, wrapping into further equaves, so non-EDO bases
+ * modulate by their own intervals. Degrees index the active scale's own tones
+ * (so MOS scales move by their degrees), wrapping into further equaves.
+ *
+ * @param {{steps: number}|{degree: number}} slot - Slot from parseModulation
+ * @param {number[]} baseTones - Base tones, ending with the equave
+ * @param {number[]} scaleTones - Tones the scale indices point into, ending with the equave
+ * @param {number[]} scaleIndices - Index into scaleTones of each scale degree (the equave index may follow)
+ * @returns {number} Ratio to multiply the root frequency by
+ *
+ * @example
+ * transpositionRatio({steps: 14}, twelveEdoTones, twelveEdoTones, []) // Returns 2 ** (14 / 12)
+ * // MOS scale of 700¢ generators in 12-EDO (0, 200, 400, 700, 900 cents): degree 2 is 400¢
+ * transpositionRatio({degree: 2}, twelveEdoTones, mos.scaleTones, mos.scaleIndices) // Returns 2 ** (4 / 12)
+ */
+export function transpositionRatio(slot, baseTones, scaleTones, scaleIndices) {
+    const size = baseTones.length - 1;
+    if (size < 1) return 1;
+    const equaveRatio = baseTones[size] / baseTones[0];
+
+    const wrap = (index, count) => {
+        const equaves = Math.floor(index / count);
+        return { index: index - equaves * count, equaves };
+    };
+
+    if ("steps" in slot) {
+        const { index, equaves } = wrap(slot.steps, size);
+        return (baseTones[index] / baseTones[0]) * Math.pow(equaveRatio, equaves);
+    }
+
+    // scaleIndices ends with the equave; it is the next root, not a degree of its own
+    const degrees = scaleIndices.filter((index) => index < scaleTones.length - 1);
+    if (degrees.length === 0) return 1;
+    const { index, equaves } = wrap(slot.degree, degrees.length);
+    return (scaleTones[degrees[index]] / scaleTones[0]) * Math.pow(equaveRatio, equaves);
+}
@@ -0,0 +1,276 @@
+/**
+ * Rhythm Analysis
+ *
+ * Pure functions that describe boolean patterns: necklace canonicalisation,
+ * rotation/reflection equivalence, evenness, syncopation (Keith and WNBD)
+ * and interval content. Patterns use the same boolean-array representation
+ * as euclidean.js.
+ */
+
+import { patternToIntervals, rotatePattern } from './euclidean.js';
+
+/**
+ * Render a pattern as a compact string ("x" for pulses, "." for rests)
+ *
+ * @param {boolean[]} pattern - Boolean pattern
+ * @returns {string} String form, e.g. "x..x..x."
+ */
+export function patternToString(pattern) {
+    return pattern.map((pulse) => (pulse ? "x" : ".")).join("");
+}
+
+/**
+ * Find the canonical necklace form of a pattern
+ *
+ * The canonical form is the lexicographically greatest rotation (pulses sort
+ * before rests), so it always starts on a pulse. Two patterns are rotations of
+ * each other exactly when their canonical forms are equal.
+ *
+ * @param {boolean[]} pattern - Boolean pattern
+ * @returns {boolean[]} Canonical rotation
+ *
+ * @example
+ * canonicalNecklace([false, true, false, true, true]) // Returns [true, true, false, true, false]
+ */
+export function canonicalNecklace(pattern) {
+    let best = pattern;
+    let bestKey = patternToString(pattern);
+    for (let i = 1; i < pattern.length; i++) {
+        const rotated = rotatePattern(pattern, i);
+        const key = patternToString(rotated);
+        // "x" sorts after "." so the greatest key starts with the longest run of pulses
+        if (key > bestKey) {
+            best = rotated;
+            bestKey = key;
+        }
+    }
+    return [...best];
+}
+
+/**
+ * Find the canonical bracelet form (necklace up to rotation and reflection)
+ *
+ * @param {boolean[]} pattern - Boolean pattern
+ * @returns {boolean[]} Canonical form of the pattern or its reversal, whichever is greater
+ */
+export function canonicalBracelet(pattern) {
+    const forward = canonicalNecklace(pattern);
+    const reflected = canonicalNecklace([...pattern].reverse());
+    return patternToString(reflected) > patternToString(forward) ? reflected : forward;
+}
+
+/**
+ * Test whether two patterns are rotations of each other
+ *
+ * @param {boolean[]} a - First pattern
+ * @param {boolean[]} b - Second pattern
+ * @returns {boolean} True if `b` is a rotation of `a`
+ */
+export function isRotationOf(a, b) {
+    if (a.length !== b.length) return false;
+    return patternToString(canonicalNecklace(a)) === patternToString(canonicalNecklace(b));
+}
+
+/**
+ * Test whether two patterns are equivalent under rotation and reflection
+ *
+ * @param {boolean[]} a - First pattern
+ * @param {boolean[]} b - Second pattern
+ * @returns {boolean} True if `b` is a rotation of `a` or of its reversal
+ */
+export function isReflectionOf(a, b) {
+    if (a.length !== b.length) return false;
+    return patternToString(canonicalBracelet(a)) === patternToString(canonicalBracelet(b));
+}
+
+/**
+ * Get the step positions of all pulses
+ *
+ * @param {boolean[]} pattern - Boolean pattern
+ * @returns {number[]} Indices of pulses
+ */
+export function patternToOnsets(pattern) {
+    const onsets = [];
+    pattern.forEach((pulse, index) => {
+        if (pulse) onsets.push(index);
+    });
+    return onsets;
+}
+
+/**
+ * Evenness: sum of chord lengths between every pair of pulses
+ *
+ * Pulses are placed on a unit circle; the sum of all pairwise chord lengths is
+ * largest for maximally-even (Euclidean) patterns.
+ *
+ * @param {boolean[]} pattern - Boolean pattern
+ * @returns {number} Sum of chord lengths
+ */
+export function evenness(pattern) {
+    const onsets = patternToOnsets(pattern);
+    const steps = pattern.length;
+    let total = 0;
+    for (let i = 0; i < onsets.length; i++) {
+        for (let j = i + 1; j < onsets.length; j++) {
+            total += 2 * Math.sin((Math.PI * (onsets[j] - onsets[i])) / steps);
+        }
+    }
+    return total;
+}
+
+/**
+ * Evenness relative to the maximally-even pattern with the same pulses and steps
+ *
+ * @param {boolean[]} pattern - Boolean pattern
+ * @returns {number} 1 for maximally-even patterns, smaller for clumped ones
+ */
+export function normalizedEvenness(pattern) {
+    const pulses = patternToOnsets(pattern).length;
+    const steps = pattern.length;
+    if (pulses < 2) return 1;
+
+    const maximal = new Array(steps).fill(false);
+    for (let i = 0; i < pulses; i++) {
+        maximal[Math.floor((i * steps) / pulses)] = true;
+    }
+    return evenness(pattern) / evenness(maximal);
+}
+
+/**
+ * Keith's syncopation measure
+ *
+ * Each note lasts until the next pulse. With δ the largest power of two not
+ * exceeding the note's duration, a note starting off a multiple of δ is an
+ * anticipation (weight 2), one ending off a multiple of δ is a hesitation
+ * (weight 1), and one doing both is a syncopation (weight 3).
+ *
+ * @param {boolean[]} pattern - Boolean pattern (most meaningful for lengths that are powers of two)
+ * @returns {number} Sum of note weights
+ */
+export function keithSyncopation(pattern) {
+    const onsets = patternToOnsets(pattern);
+    const intervals = onsets.length === 1 ? [pattern.length] : patternToIntervals(pattern);
+
+    let total = 0;
+    onsets.forEach((start, i) => {
+        const duration = intervals[i];
+        const delta = Math.pow(2, Math.floor(Math.log2(duration)));
+        const offBeatStart = start % delta !== 0;
+        const offBeatEnd = (start + duration) % delta !== 0;
+        if (offBeatStart && offBeatEnd) {
+            total += 3;
+        } else if (offBeatStart) {
+            total += 2;
+        } else if (offBeatEnd) {
+            total += 1;
+        }
+    });
+    return total;
+}
+
+/**
+ * Default number of metrical beats for a pattern length
+ *
+ * @param {number} steps - Pattern length
+ * @returns {number} 4, 3 or 2 beats where they divide the pattern, otherwise 1
+ */
+function defaultBeats(steps) {
+    if (steps % 4 === 0) return 4;
+    if (steps % 3 === 0) return 3;
+    if (steps % 2 === 0) return 2;
+    return 1;
+}
+
+/**
+ * Weighted Note-to-Beat Distance (Gómez et al.)
+ *
+ * For every note off the beat, T is its distance to the nearest beat in beat
+ * units. The note scores 1/T if it ends before or on the next beat, 2/T if it
+ * ends before the beat after that, and 1/T otherwise. The score is averaged
+ * over all notes.
+ *
+ * @param {boolean[]} pattern - Boolean pattern
+ * @param {number} [beats] - Number of beats in the meter (defaults to 4, 3 or 2 where they divide the length)
+ * @returns {number} Mean weighted distance (0 for patterns entirely on the beat)
+ */
+export function wnbdSyncopation(pattern, beats = defaultBeats(pattern.length)) {
+    const onsets = patternToOnsets(pattern);
+    if (onsets.length === 0) return 0;
+
+    const intervals = onsets.length === 1 ? [pattern.length] : patternToIntervals(pattern);
+    const beatLength = pattern.length / beats;
+
+    let total = 0;
+    onsets.forEach((start, i) => {
+        const beatPosition = start / beatLength;
+        const previousBeat = Math.floor(beatPosition);
+        const distance = Math.min(beatPosition - previousBeat, previousBeat + 1 - beatPosition);
+        if (distance === 0) return;
+
+        const end = (start + intervals[i]) / beatLength;
+        if (end <= previousBeat + 1) {
+            total += 1 / distance;
+        } else if (end <= previousBeat + 2) {
+            total += 2 / distance;
+        } else {
+            total += 1 / distance;
+        }
+    });
+    return total / onsets.length;
+}
+
+/**
+ * Interval vector: how often each geodesic distance occurs between pairs of pulses
+ *
+ * @param {boolean[]} pattern - Boolean pattern
+ * @returns {number[]} Counts for distances 1..floor(steps / 2)
+ *
+ * @example
+ * intervalVector(euclideanRhythm(7, 12)) // Returns [2, 5, 4, 3, 6, 1] (the diatonic vector)
+ */
+export function intervalVector(pattern) {
+    const onsets = patternToOnsets(pattern);
+    const steps = pattern.length;
+    const vector = new Array(Math.floor(steps / 2)).fill(0);
+    for (let i = 0; i < onsets.length; i++) {
+        for (let j = i + 1; j < onsets.length; j++) {
+            const d = onsets[j] - onsets[i];
+            const distance = Math.min(d, steps - d);
+            vector[distance - 1]++;
+        }
+    }
+    return vector;
+}
+
+/**
+ * Test whether a pattern is deep (every occurring distance has a unique multiplicity)
+ *
+ * @param {boolean[]} pattern - Boolean pattern
+ * @returns {boolean} True if no two distances occur the same number of times
+ */
+export function isDeep(pattern) {
+    const counts = intervalVector(pattern).filter((count) => count > 0);
+    return new Set(counts).size === counts.length;
+}
+
+/**
+ * Collect every analysis measure for a pattern
+ *
+ * @param {boolean[]} pattern - Boolean pattern
+ * @returns {{necklace: string, pulses: number, steps: number, evenness: number,
+ *   normalizedEvenness: number, keith: number, wnbd: number,
+ *   intervalVector: number[], deep: boolean}} Analysis summary
+ */
+export function analyzeRhythm(pattern) {
+    return {
+        necklace: patternToString(canonicalNecklace(pattern)),
+        pulses: patternToOnsets(pattern).length,
+        steps: pattern.length,
+        evenness: evenness(pattern),
+        normalizedEvenness: normalizedEvenness(pattern),
+        keith: keithSyncopation(pattern),
+        wnbd: wnbdSyncopation(pattern),
+        intervalVector: intervalVector(pattern),
+        deep: isDeep(pattern),
+    };
+}
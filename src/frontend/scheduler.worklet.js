@@ -3,7 +3,35 @@
  * 
  * Provides sample-accurate timing for the Euclidean sequencer.
  * Runs in the high-priority audio thread, immune to main thread blocking.
+ *
+ * Steps are published `lookahead` seconds before they start, each carrying
+ * the audio time it starts at, so the main thread can schedule its parameter
+ * ramps at exact times instead of whenever the message arrives.
+ *
+ * The position is a step phase anchored at an audio time and advanced through
+ * a tempo map. Tempo and subdivision changes re-anchor at the current
+ * position instead of reinterpreting the whole elapsed time, so the playhead
+ * carries on from where it was.
+ *
+ * Any number of named lanes run against the global step, each with its own
+ * length, rate (`steps` lane steps per `per` global steps, e.g. 3 against 4)
+ * and offset. Every lane step is posted as a `laneStep` message.
+ *
+ * A lane can carry a groove: per-step timing offsets and optional lengths,
+ * in fractions of a lane step. The groove cycles on its own length, following
+ * the global step position (lane steps counted from global step 0), so it stays
+ * on the same beats through seeks and loops, and a 16-step groove can run
+ * under a 5-step lane.
+ * Steps are collected early enough that the earliest-shifted lane step is
+ * still published `lookahead` seconds before it starts.
+ *
+ * Transport: play starts from step 0; pause keeps the position for resume;
+ * seek moves to any global step; an optional loop repeats a range of the
+ * pattern cycle.
  */
+
+const BEATS_PER_BAR = 4;
+
 class SchedulerProcessor extends AudioWorkletProcessor {
   constructor() {
     super();
@@ -12,17 +40,27 @@ class SchedulerProcessor extends AudioWorkletProcessor {
     this.isPlaying = false;
     this.startTime = null;
     this.lastGlobalStep = -1;
-    this.lastNoteStep = -1;
-    this.lastPhonemeStep = -1;
+    this.pausedStep = null; // Global step to resume from, while paused
+    this.publishedSteps = []; // {globalStep, time} of published steps, from the one sounding now
+    this.loop = null; // {start, end, cycle}: steps [start, end) of every cycle-step cycle repeat
     
     // Timing parameters
-    this.bpm = 120; // Beats per minute
+    this.bpm = 120; // Beats per minute (where the tempo map ends up)
     this.subdivision = 4; // 4 = quarter notes, 8 = 8th notes, 16 = 16th notes
-    this.stepDuration = 60 / (this.bpm * this.subdivision); // Duration of each step in seconds
+    this.lookahead = 0.1; // How far ahead of its start a step is published, in seconds
+    
+    // Step phase: the (fractional) global step reached at anchorTime
+    this.anchorTime = 0;
+    this.anchorStep = 0;
+    
+    // Tempo map: {time, bpm} points, linear between points and constant after the last
+    this.setConstantTempo(0, this.bpm);
     
-    // Pattern lengths
-    this.notePatternLength = 8; // Note sequence length
-    this.phonemePatternLength = 5; // Phoneme sequence length
+    // Lanes: name -> {length, steps, per, offset, groove}
+    // The note and phoneme sequences are lanes like any other
+    this.lanes = new Map();
+    this.setLane({ name: 'note', length: 8 });
+    this.setLane({ name: 'phoneme', length: 5 });
     
     // Timing tracking for debugging
     this.blockCount = 0;
@@ -33,128 +71,491 @@ class SchedulerProcessor extends AudioWorkletProcessor {
       
       switch (type) {
         case 'play':
-          this.isPlaying = true;
-          this.lastGlobalStep = -1;
-          this.lastNoteStep = -1;
-          this.lastPhonemeStep = -1;
           this.blockCount = 0;
           this.startTime = currentTime;
+          this.start(0, payload);
           
-          if (payload.notePatternLength) {
-            this.notePatternLength = payload.notePatternLength;
-          }
-          if (payload.phonemePatternLength) {
-            this.phonemePatternLength = payload.phonemePatternLength;
-          }
-          if (payload.bpm) {
-            this.bpm = payload.bpm;
-            this.stepDuration = 60 / (this.bpm * this.subdivision);
-          }
-          if (payload.subdivision) {
-            this.subdivision = payload.subdivision;
-            this.stepDuration = 60 / (this.bpm * this.subdivision);
-          }
+          // console.log(`🎵 AudioWorklet START: BPM=${this.bpm}, subdivision=${this.subdivision}, lanes=${[...this.lanes.keys()].join(',')}`);
+          break;
           
-          // console.log(`🎵 AudioWorklet START: BPM=${this.bpm}, subdivision=${this.subdivision}, stepDuration=${this.stepDuration.toFixed(3)}s, notePattern=${this.notePatternLength}, phonemePattern=${this.phonemePatternLength}`);
+        case 'resume':
+          // Replays the step that was sounding when paused
+          this.start(this.pausedStep ?? 0, payload);
+          break;
+          
+        case 'pause':
+          if (this.isPlaying) {
+            this.pausedStep = this.soundingStep();
+            this.isPlaying = false;
+            this.postPosition(this.pausedStep);
+          }
           break;
           
         case 'stop':
           this.isPlaying = false;
           this.lastGlobalStep = -1;
-          this.lastNoteStep = -1;
-          this.lastPhonemeStep = -1;
+          this.pausedStep = null;
           // console.log('🎵 AudioWorklet STOP');
           break;
           
+        case 'seek':
+          if (this.isPlaying) {
+            this.anchorTime = currentTime;
+            this.anchorStep = payload.globalStep;
+            this.lastGlobalStep = payload.globalStep - 1;
+            this.publishedSteps = [];
+          } else {
+            this.pausedStep = payload.globalStep;
+            this.postPosition(payload.globalStep);
+          }
+          break;
+          
+        case 'setLoop':
+          // null clears the loop
+          this.loop = payload.loop && payload.loop.end > payload.loop.start ? payload.loop : null;
+          break;
+          
         case 'setBpm':
+          // Replaces any running tempo ramp
+          this.reanchor(currentTime);
           this.bpm = payload.bpm;
-          this.stepDuration = 60 / (this.bpm * this.subdivision);
-          // console.log(`🎵 AudioWorklet BPM: ${this.bpm} (stepDuration: ${this.stepDuration.toFixed(3)}s)`);
+          this.setConstantTempo(currentTime, this.bpm);
+          // console.log(`🎵 AudioWorklet BPM: ${this.bpm}`);
           break;
           
         case 'setSubdivision':
+          this.reanchor(currentTime);
           this.subdivision = payload.subdivision;
-          this.stepDuration = 60 / (this.bpm * this.subdivision);
-          // console.log(`🎵 AudioWorklet SUBDIVISION: ${this.subdivision} (stepDuration: ${this.stepDuration.toFixed(3)}s)`);
+          // console.log(`🎵 AudioWorklet SUBDIVISION: ${this.subdivision}`);
+          break;
+          
+        case 'setTempoMap':
+          this.setTempoRamps(payload.ramps);
+          break;
+          
+        case 'setLookahead':
+          this.lookahead = payload.lookahead;
           break;
           
         case 'setPatterns':
-          if (payload.notePatternLength) {
-            this.notePatternLength = payload.notePatternLength;
-          }
-          if (payload.phonemePatternLength) {
-            this.phonemePatternLength = payload.phonemePatternLength;
+          this.setPatternLengths(payload);
+          // console.log(`🎵 AudioWorklet PATTERNS: note=${this.lanes.get('note').length}, phoneme=${this.lanes.get('phoneme').length}`);
+          break;
+          
+        case 'setLane':
+          this.setLane(payload);
+          break;
+          
+        case 'removeLane':
+          this.lanes.delete(payload.name);
+          break;
+          
+        case 'setGroove':
+          if (this.lanes.has(payload.lane)) {
+            this.lanes.get(payload.lane).groove = this.normalizeGroove(payload.groove);
           }
-          // console.log(`🎵 AudioWorklet PATTERNS: note=${this.notePatternLength}, phoneme=${this.phonemePatternLength}`);
           break;
       }
     };
   }
 
-  process(inputs, outputs, parameters) {
-    if (!this.isPlaying || !this.startTime) {
-      return true; // Keep processor alive
+  /**
+   * Start playing from a global step
+   * @param {number} globalStep - Step to start on
+   * @param {Object} payload - Play/resume payload: pattern lengths, bpm, subdivision, lookahead
+   */
+  start(globalStep, payload) {
+    // A resume can come without an earlier play (after seeking while stopped)
+    if (this.startTime === null) {
+      this.startTime = currentTime;
+      this.blockCount = 0;
     }
-
-    // Calculate elapsed time since start (in seconds)
-    const elapsedTime = currentTime - this.startTime;
+    this.isPlaying = true;
+    this.pausedStep = null;
+    this.publishedSteps = [];
+    this.lastGlobalStep = globalStep - 1;
+    this.anchorTime = currentTime;
+    this.anchorStep = globalStep;
     
-    // Calculate global step counter (0, 1, 2, 3, 4, ... infinity)
-    const globalStep = Math.floor(elapsedTime / this.stepDuration);
-    
-    // Map global step to individual sequence steps
-    const noteStep = globalStep % this.notePatternLength;
-    const phonemeStep = globalStep % this.phonemePatternLength;
+    this.setPatternLengths(payload);
+    if (payload.bpm) {
+      this.bpm = payload.bpm;
+    }
+    if (payload.subdivision) {
+      this.subdivision = payload.subdivision;
+    }
+    if (payload.lookahead !== undefined) {
+      this.lookahead = payload.lookahead;
+    }
+    this.setConstantTempo(currentTime, this.bpm);
+  }
 
-    // Debug: Log every 100 blocks to see if process is running
-    if (this.blockCount % 100 === 0) {
-      // console.log(`🎵 WORKLET PROCESS: block ${this.blockCount}, globalStep: ${globalStep}, noteStep: ${noteStep}, phonemeStep: ${phonemeStep}, playing: ${this.isPlaying}`);
+  /**
+   * Global step sounding now (steps are published ahead, and loops move the anchor ahead too)
+   * @returns {number} Global step
+   */
+  soundingStep() {
+    const started = this.publishedSteps.filter((published) => published.time <= currentTime);
+    return started.length > 0
+      ? started[started.length - 1].globalStep
+      : Math.floor(this.stepAt(currentTime));
+  }
+
+  /**
+   * Where a global step falls: lane steps, and bar / beat / step counted from 1
+   * @param {number} globalStep - Global step
+   * @returns {Object} Position fields shared by globalStepChange and position messages
+   */
+  positionOf(globalStep) {
+    const stepsPerBar = this.subdivision * BEATS_PER_BAR;
+    return {
+      globalStep: globalStep,
+      noteStep: this.laneStepAtGlobal('note', globalStep),
+      phonemeStep: this.laneStepAtGlobal('phoneme', globalStep),
+      bar: Math.floor(globalStep / stepsPerBar) + 1,
+      beat: Math.floor((globalStep % stepsPerBar) / this.subdivision) + 1,
+      step: (globalStep % this.subdivision) + 1
+    };
+  }
+
+  /**
+   * Report the position while stopped or paused (no steps are being published)
+   * @param {number} globalStep - Global step
+   */
+  postPosition(globalStep) {
+    this.port.postMessage({ type: 'position', payload: this.positionOf(globalStep) });
+  }
+
+  /**
+   * Register a lane, or update one already registered
+   * @param {{name: string, length: number, steps?: number, per?: number, offset?: number, groove?: Object}} lane -
+   *   Lane name and length; it moves `steps` lane steps every `per` global steps, shifted by `offset` lane steps.
+   *   An updated lane keeps its groove unless a new one (or null) is given.
+   */
+  setLane({ name, length, steps = 1, per = 1, offset = 0, groove }) {
+    const existing = this.lanes.get(name);
+    this.lanes.set(name, {
+      length: Math.max(1, length),
+      steps: Math.max(1, steps),
+      per: Math.max(1, per),
+      offset,
+      groove: groove === undefined && existing ? existing.groove : this.normalizeGroove(groove),
+    });
+  }
+
+  /**
+   * Check a groove from the main thread
+   * @param {{offsets: number[], lengths?: number[]}|null|undefined} groove - Offsets and lengths in lane steps
+   * @returns {{offsets: number[], lengths: number[]|null, earliest: number}|null} Groove, with the
+   *   largest early shift in lane steps, or null for a straight grid
+   */
+  normalizeGroove(groove) {
+    if (!groove || !Array.isArray(groove.offsets) || groove.offsets.length === 0) return null;
+    const offsets = groove.offsets.map((offset) => (Number.isFinite(offset) ? offset : 0));
+    return {
+      offsets,
+      lengths: Array.isArray(groove.lengths) && groove.lengths.length > 0 ? groove.lengths : null,
+      earliest: Math.max(0, -Math.min(...offsets)),
+    };
+  }
+
+  /**
+   * Largest early shift of any lane's groove
+   * @returns {number} Global steps the earliest lane step can start before its grid position
+   */
+  earliestGrooveShift() {
+    let earliest = 0;
+    this.lanes.forEach((lane) => {
+      if (lane.groove) earliest = Math.max(earliest, (lane.groove.earliest * lane.per) / lane.steps);
+    });
+    return earliest;
+  }
+
+  /**
+   * Timing of a lane step under the lane's groove
+   * @param {Object} lane - Lane from this.lanes
+   * @param {number} count - Lane steps from global step 0 (picks the groove step)
+   * @returns {{offset: number, length: number|null}} Offset from the grid and length (null if the
+   *   groove sets none), in lane steps
+   */
+  grooveAt(lane, count) {
+    if (!lane.groove) return { offset: 0, length: null };
+    const { offsets, lengths } = lane.groove;
+    return {
+      offset: offsets[count % offsets.length],
+      length: lengths ? lengths[count % lengths.length] : null,
+    };
+  }
+
+  /**
+   * Update the note and phoneme lane lengths from a play or setPatterns payload
+   * @param {{notePatternLength?: number, phonemePatternLength?: number}} payload - New lengths
+   */
+  setPatternLengths({ notePatternLength, phonemePatternLength }) {
+    if (notePatternLength && this.lanes.has('note')) {
+      this.lanes.get('note').length = notePatternLength;
     }
-    
-    // Detect global step changes
-    if (globalStep !== this.lastGlobalStep) {
-      // Always send global step change
-      this.port.postMessage({
-        type: 'globalStepChange',
-        payload: {
-          globalStep: globalStep,
-          noteStep: noteStep,
-          phonemeStep: phonemeStep,
-          elapsedTime: elapsedTime,
-          audioTime: currentTime,
-          blockCount: this.blockCount
+    if (phonemePatternLength && this.lanes.has('phoneme')) {
+      this.lanes.get('phoneme').length = phonemePatternLength;
+    }
+  }
+
+  /**
+   * Position of a lane step within its lane
+   * @param {Object} lane - Lane from this.lanes
+   * @param {number} count - Lane steps since play
+   * @returns {number} Step index in [0, length)
+   */
+  laneStep(lane, count) {
+    return (((count + lane.offset) % lane.length) + lane.length) % lane.length;
+  }
+
+  /**
+   * Lane step sounding at a global step
+   * @param {string} name - Lane name
+   * @param {number} globalStep - Global step
+   * @returns {number|null} Step index, or null if there is no such lane
+   */
+  laneStepAtGlobal(name, globalStep) {
+    const lane = this.lanes.get(name);
+    if (!lane) return null;
+    return this.laneStep(lane, Math.floor((globalStep * lane.steps) / lane.per));
+  }
+
+  /**
+   * Replace the tempo map with a single constant tempo
+   * @param {number} time - Audio time the tempo starts at
+   * @param {number} bpm - Beats per minute
+   */
+  setConstantTempo(time, bpm) {
+    this.setTempoMap([{ time, bpm }]);
+  }
+
+  /**
+   * Ramp from the current tempo through a list of targets, starting now
+   * @param {Array<{bpm: number, bars: number}>} ramps - Each reaches `bpm` over `bars` bars (0 bars jumps)
+   */
+  setTempoRamps(ramps) {
+    this.reanchor(currentTime);
+    let time = currentTime;
+    let bpm = this.bpmAt(currentTime);
+    const points = [{ time, bpm }];
+    ramps.forEach((ramp) => {
+      // A linear ramp averages (start + end) / 2 bpm, which fixes its duration
+      const beats = ramp.bars * BEATS_PER_BAR;
+      time += beats > 0 ? (120 * beats) / (bpm + ramp.bpm) : 0;
+      bpm = ramp.bpm;
+      points.push({ time, bpm });
+    });
+    this.bpm = bpm;
+    this.setTempoMap(points);
+  }
+
+  /**
+   * Follow a tempo map, split into pieces of linearly changing tempo
+   * @param {Array<{time: number, bpm: number}>} points - Tempo points in time order
+   */
+  setTempoMap(points) {
+    this.tempoPieces = [];
+    points.forEach((point, i) => {
+      const next = points[i + 1];
+      const end = next ? next.time : Infinity;
+      // Zero-length pieces are tempo jumps; the next piece starts at the new tempo
+      if (end <= point.time) return;
+      const slope = next ? (next.bpm - point.bpm) / (end - point.time) : 0;
+      this.tempoPieces.push({ start: point.time, end, bpm: point.bpm, slope });
+    });
+  }
+
+  /**
+   * Tempo at an audio time
+   * @param {number} time - Audio time
+   * @returns {number} Beats per minute
+   */
+  bpmAt(time) {
+    const piece = this.tempoPieces.find((p) => time < p.end) || this.tempoPieces[this.tempoPieces.length - 1];
+    return piece.bpm + piece.slope * (Math.max(time, piece.start) - piece.start);
+  }
+
+  /**
+   * Beats played between two audio times, following the tempo map
+   * @param {number} from - Start time
+   * @param {number} to - End time (not before from)
+   * @returns {number} Beats
+   */
+  beatsBetween(from, to) {
+    let beats = 0;
+    for (const piece of this.tempoPieces) {
+      const x = Math.max(from, piece.start);
+      const y = Math.min(to, piece.end);
+      if (y <= x) continue;
+      const bpm = piece.bpm + piece.slope * (x - piece.start);
+      beats += (bpm * (y - x) + (piece.slope * (y - x) ** 2) / 2) / 60;
+    }
+    return beats;
+  }
+
+  /**
+   * Audio time at which a number of beats have been played since a start time
+   * @param {number} from - Start time
+   * @param {number} beats - Beats to play
+   * @returns {number} Audio time
+   */
+  timeAfterBeats(from, beats) {
+    if (beats <= 0) return from;
+    let remaining = beats;
+    for (const piece of this.tempoPieces) {
+      if (piece.end <= from) continue;
+      const x = Math.max(from, piece.start);
+      const available = piece.end === Infinity ? Infinity : this.beatsBetween(x, piece.end);
+      if (remaining <= available) {
+        const bpm = piece.bpm + piece.slope * (x - piece.start);
+        const target = remaining * 60;
+        if (Math.abs(piece.slope) < 1e-12) return x + target / bpm;
+        // Solve slope / 2 · u² + bpm · u = target for the time u spent in this piece
+        return x + (Math.sqrt(bpm * bpm + 2 * piece.slope * target) - bpm) / piece.slope;
+      }
+      remaining -= available;
+    }
+    return Infinity;
+  }
+
+  /**
+   * Step phase (fractional global step) at an audio time
+   * @param {number} time - Audio time (not before the anchor)
+   * @returns {number} Step phase
+   */
+  stepAt(time) {
+    return this.anchorStep + this.subdivision * this.beatsBetween(this.anchorTime, time);
+  }
+
+  /**
+   * Audio time a global step starts at
+   * @param {number} step - Global step
+   * @returns {number} Audio time
+   */
+  timeOfStep(step) {
+    return this.timeAfterBeats(this.anchorTime, (step - this.anchorStep) / this.subdivision);
+  }
+
+  /**
+   * Move the anchor to an audio time, keeping the step phase reached there
+   * @param {number} time - Audio time
+   */
+  reanchor(time) {
+    this.anchorStep = this.stepAt(time);
+    this.anchorTime = time;
+  }
+
+  /**
+   * Collect the messages for every step, global or lane, starting before the horizon
+   * Steps whose start has passed are only skipped if the audio thread itself stalled.
+   * Lane steps are published with the global step they fall in, even when a groove moves them
+   * ahead of it, so `pass` counts the global steps collected (loops make globalStep jump back).
+   * @param {number} elapsedTime - Seconds since play, at the current block
+   * @returns {Array<{pass: number, time: number, order: number, message: Object}>} Messages with their step times
+   */
+  collectSteps(elapsedTime) {
+    const events = [];
+    const horizon = currentTime + this.lookahead;
+    // Lane steps grooved early must be published a lookahead before their shifted start
+    const earliest = this.earliestGrooveShift();
+
+    let globalStep = Math.max(this.lastGlobalStep + 1, Math.floor(this.stepAt(currentTime)));
+    for (let pass = 0; ; pass++) {
+      // Leaving the loop range: jump back to its start at the moment this step would have begun
+      if (this.loop) {
+        const { start, end, cycle } = this.loop;
+        const inCycle = ((globalStep % cycle) + cycle) % cycle;
+        if (inCycle < start || inCycle >= end) {
+          this.anchorTime = this.timeOfStep(globalStep);
+          this.anchorStep = globalStep - inCycle + start;
+          this.lastGlobalStep = this.anchorStep - 1;
+          globalStep = this.anchorStep;
+        }
+      }
+
+      // Audio time the step starts at (never in the past)
+      const time = Math.max(currentTime, this.timeOfStep(globalStep));
+      if (Math.max(currentTime, this.timeOfStep(globalStep - earliest)) > horizon) break;
+
+      events.push({
+        pass,
+        time,
+        order: 0,
+        message: {
+          type: 'globalStepChange',
+          payload: {
+            ...this.positionOf(globalStep),
+            elapsedTime: elapsedTime,
+            audioTime: currentTime,
+            time: time,
+            bpm: this.bpmAt(time),
+            blockCount: this.blockCount
+          }
         }
       });
-      
-      this.lastGlobalStep = globalStep;
-    }
-    
-    // Detect note sequence step changes
-    if (noteStep !== this.lastNoteStep) {
-      this.port.postMessage({
-        type: 'noteStepChange',
-        payload: {
-          noteStep: noteStep,
-          globalStep: globalStep,
-          elapsedTime: elapsedTime
+
+      // Lane step `count` starts at global step phase count * per / steps, moved by its groove offset
+      this.lanes.forEach((lane, name) => {
+        for (let count = Math.ceil((globalStep * lane.steps) / lane.per); count * lane.per < (globalStep + 1) * lane.steps; count++) {
+          const { offset, length } = this.grooveAt(lane, count);
+          const phase = ((count + offset) * lane.per) / lane.steps;
+          // Only an audio-thread stall leaves a step in the past
+          const laneTime = Math.max(currentTime, this.timeOfStep(phase));
+          // Seconds the step lasts, if the groove gives it a length
+          const laneLength = length === null
+            ? null
+            : Math.max(0, this.timeOfStep(phase + (length * lane.per) / lane.steps) - laneTime);
+          events.push({
+            pass,
+            time: laneTime,
+            order: 1,
+            message: {
+              type: 'laneStep',
+              payload: {
+                lane: name,
+                step: this.laneStep(lane, count),
+                count: count,
+                globalStep: globalStep,
+                elapsedTime: elapsedTime,
+                time: laneTime,
+                length: laneLength
+              }
+            }
+          });
         }
       });
-      
-      this.lastNoteStep = noteStep;
+
+      this.publishedSteps.push({ globalStep, time });
+      this.lastGlobalStep = globalStep;
+      globalStep++;
     }
+
+    // Keep only the step sounding now and those still to come
+    const sounding = this.publishedSteps.findLastIndex((published) => published.time <= currentTime);
+    if (sounding > 0) this.publishedSteps.splice(0, sounding);
+
+    return events;
+  }
+
+  process(inputs, outputs, parameters) {
+    if (!this.isPlaying || this.startTime === null) {
+      return true; // Keep processor alive
+    }
+
+    // Calculate elapsed time since start (in seconds)
+    const elapsedTime = currentTime - this.startTime;
     
-    // Detect phoneme sequence step changes
-    if (phonemeStep !== this.lastPhonemeStep) {
-      this.port.postMessage({
-        type: 'phonemeStepChange',
-        payload: {
-          phonemeStep: phonemeStep,
-          globalStep: globalStep,
-          elapsedTime: elapsedTime
-        }
-      });
-      
-      this.lastPhonemeStep = phonemeStep;
+    // Publish every step starting before the lookahead horizon, global step by global step,
+    // each ahead of its lane steps (which follow in time order)
+    this.collectSteps(elapsedTime)
+      .sort((a, b) => a.pass - b.pass || a.order - b.order || a.time - b.time)
+      .forEach(({ message }) => this.port.postMessage(message));
+
+    // Debug: Log every 100 blocks to see if process is running
+    if (this.blockCount % 100 === 0) {
+      // console.log(`🎵 WORKLET PROCESS: block ${this.blockCount}, globalStep: ${this.lastGlobalStep}, playing: ${this.isPlaying}`);
     }
     
     this.blockCount++;
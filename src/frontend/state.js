@@ -6,25 +6,65 @@ export class AppState {
             edo: 12,
             scaleNotes: 7,
             scaleRotation: 0,
+            scaleMethod: "euclidean", // Rhythm generator used to pick the scale from the EDO
+            scaleNecklace: "", // Necklace string used when scaleMethod is "necklace"
+            mosGenerator: 700, // Generator in cents stacked when scaleMethod is "mos"
+            mosSize: 7, // Notes per equave of the MOS scale (snapped to the nearest reachable size)
             chordNotes: 4,
             chordRotation: 0,
+            chordMethod: "euclidean", // Rhythm generator used to pick the chord from the scale
+            chordNecklace: "", // Necklace string used when chordMethod is "necklace"
             rootFreq: 261.63,
+            tuning: null, // Parsed Scala tuning ({ scl, kbm, name }) replacing the EDO, or null
+            equave: 2, // Interval the EDO divides, as a frequency ratio (2 = octave, 3 = Bohlen-Pierce tritave)
+            octaveStretch: 0, // Cents added to the equave; every degree stretches proportionally
+            baseSource: "edo", // "edo", "harmonics" (m..n over m) or "subharmonics" (n over n..m)
+            seriesStart: 8, // First harmonic m of the series
+            seriesEnd: 16, // Last harmonic n of the series
             sequenceNotes: 5,
             sequenceMethod: "euclidean",
             sequenceBase: -2,
             sequenceOctaves: 3,
             sequenceRotation: 1,
+            sequenceVoicing: "close", // "close", "drop2", "drop3", "open" or "ladder"
+            sequenceInversion: 0, // Lowest chord tones moved up an equave before voicing
+            expansionMode: "equave", // Interval stacked across sequenceOctaves: "equave", "fifth", "chordTone" or "ratio"
+            expansionChordTone: 1, // Chord tone (counted from the root at 0) stacked in "chordTone" mode
+            expansionRatio: 1.5, // Ratio stacked in "ratio" mode
+            sturmianDensity: (Math.sqrt(5) - 1) / 2, // Pulses per step for Sturmian lanes (1/φ); ratios above 1 are inverted
+            sturmianMaxLength: 0, // Longest Sturmian period (0 = never repeat)
             bpm: 60,
+            loopRange: "", // Steps of the pattern cycle to loop, 1-based and inclusive, e.g. "5-8"
+            rampBpm: 120, // Tempo a ramp ends on
+            rampBars: 4, // Bars a tempo ramp takes
+            lookahead: 100, // Milliseconds the scheduler publishes steps ahead of their start
             subdivision: 1, // Whole notes
+            swing: 50, // Share of each pair of steps the first one takes, in percent (50 = straight, 66 = triplet)
+            groove: "", // Groove template: per-step offsets and lengths in percent of a step, e.g. "0 20 -5:80"
+            grooveLane: "both", // Lanes the swing and groove apply to: "both", "note" or "phoneme"
             portamentoSteps: 5,
             portamentoRotation: 2,
             portamentoTime: 100, // Percentage of step length (0-100%)
+            portamentoMethod: "euclidean", // Rhythm generator for the portamento lane
+            portamentoExpression: "", // Pattern expression overriding the portamento generator
             rhythmPulses: 4,
             rhythmRotation: 0,
             patternSteps: 8,
+            rhythmExpression: "", // Pattern expression for the rhythm lane (empty = every step plays)
             attackTime: 10,
             decayTime: 100,
             sequenceOrder: "shuffle",
+            orderStep: 2, // Walk range for "randomWalk", stride for "interleave"
+            markovSource: "intervals", // "markov" order transitions: "intervals" (steps over leaps) or "learned" from markovMelody
+            markovMelody: "", // Melody to learn from, in cents above the root (typed, imported or recorded from tone clicks)
+            markovLength: 16, // Steps the "markov" order generates
+            jiLimit: 16, // Largest numerator/denominator for just-intonation analysis
+            progression: "", // Chord (and scale) rotations stepped through during playback, e.g. "0 2 1/3" or "E(3,8)"
+            progressionCycles: 1, // Sequence cycles each progression slot lasts
+            modulation: "", // Root transpositions stepped through during playback, e.g. "0 5 -2" (base steps) or "E(3,8)" (scale degrees)
+            modulationCycles: 1, // Sequence cycles each modulation slot lasts
+            jiStrength: 0, // Percentage each played tone is pulled toward its just ratio over the chord root
+            noteNaming: "updown", // Tone label scheme: "updown", "degree", "12tet" or "cents"
             randomSeed: 12345, // For deterministic shuffle/random
             vowelX: 0.5, // Front/back position (0=back, 1=front)
             vowelY: 0.5, // Close/open position (0=close, 1=open)
@@ -66,10 +106,16 @@ export class AppState {
                 chord: 0,
                 sequence: 0,
             },
+            sequenceCycle: 0, // Sequence cycle the current global step falls in
+            transposition: 1, // Ratio the modulation lane currently moves the root by
             monoOsc: null,
             monoGain: null,
             currentMonoFreq: null,
+            gateLevel: null, // Synth gain grooved notes open to (null until a groove length first gates one)
+            gateCloseTime: null, // Audio time the last grooved note's gate closes (null while held open)
             isPlaying: false, // Whether sequence is actively playing
+            isPaused: false, // Whether playback is paused (play resumes at globalStep)
+            globalStep: -1, // Scheduler global step sounding now or to resume from (-1 when stopped)
             isInitializing: false, // Prevent race conditions during synth creation
         };
 
@@ -137,7 +183,12 @@ export class AppState {
             "sequenceBase",
             "sequenceOctaves",
             "sequenceRotation",
+            "sequenceInversion",
+            "orderStep",
+            "markovLength",
+            "octaveStretch",
             "subdivision",
+            "swing",
             "portamentoSteps",
             "portamentoRotation",
             "portamentoTime",
@@ -161,8 +212,32 @@ export class AppState {
         const orderElement = document.getElementById("sequenceOrder");
         if (orderElement) this.params.sequenceOrder = orderElement.value;
 
+        const markovElement = document.getElementById("markovSource");
+        if (markovElement) this.params.markovSource = markovElement.value;
+
+        const namingElement = document.getElementById("noteNaming");
+        if (namingElement) this.params.noteNaming = namingElement.value;
+
+        const expansionElement = document.getElementById("expansionMode");
+        if (expansionElement) this.params.expansionMode = expansionElement.value;
+
+        const voicingElement = document.getElementById("sequenceVoicing");
+        if (voicingElement) this.params.sequenceVoicing = voicingElement.value;
+
         const methodElement = document.getElementById("sequenceMethod");
         if (methodElement) this.params.sequenceMethod = methodElement.value;
+
+        const scaleMethodElement = document.getElementById("scaleMethod");
+        if (scaleMethodElement) this.params.scaleMethod = scaleMethodElement.value;
+
+        const chordMethodElement = document.getElementById("chordMethod");
+        if (chordMethodElement) this.params.chordMethod = chordMethodElement.value;
+
+        const grooveLaneElement = document.getElementById("grooveLane");
+        if (grooveLaneElement) this.params.grooveLane = grooveLaneElement.value;
+
+        const portamentoMethodElement = document.getElementById("portamentoMethod");
+        if (portamentoMethodElement) this.params.portamentoMethod = portamentoMethodElement.value;
         
         const bpmElement = document.getElementById("bpm");
         if (bpmElement) this.params.bpm = parseInt(bpmElement.value);
@@ -180,8 +255,24 @@ export class AppState {
         // Special cases - dropdown elements
         document.getElementById("sequenceOrder").value =
             this.params.sequenceOrder;
+        document.getElementById("markovSource").value = this.params.markovSource;
+        document.getElementById("markovMelody").value = this.params.markovMelody;
+        document.getElementById("progression").value = this.params.progression;
+        document.getElementById("modulation").value = this.params.modulation;
+        document.getElementById("groove").value = this.params.groove;
+        document.getElementById("grooveLane").value = this.params.grooveLane;
+        document.getElementById("sequenceVoicing").value = this.params.sequenceVoicing;
+        document.getElementById("expansionMode").value = this.params.expansionMode;
         document.getElementById("sequenceMethod").value =
             this.params.sequenceMethod;
+        document.getElementById("scaleMethod").value = this.params.scaleMethod;
+        document.getElementById("chordMethod").value = this.params.chordMethod;
+        document.getElementById("portamentoMethod").value =
+            this.params.portamentoMethod;
+        document.getElementById("noteNaming").value = this.params.noteNaming;
+        document.getElementById("baseSource").value = this.params.baseSource;
+        document.getElementById("seriesStart").value = this.params.seriesStart;
+        document.getElementById("seriesEnd").value = this.params.seriesEnd;
         document.getElementById("bpm").value = this.params.bpm;
     }
 
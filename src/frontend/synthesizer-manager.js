@@ -119,13 +119,13 @@ function createVowelSynthesizer(frequency, params = {}) {
             if (newParams.f1PhaseOffset !== undefined) vowelNode.parameters.get('f1PhaseOffset').setValueAtTime(newParams.f1PhaseOffset * Math.PI / 180, now);
             if (newParams.f2PhaseOffset !== undefined) vowelNode.parameters.get('f2PhaseOffset').setValueAtTime(newParams.f2PhaseOffset * Math.PI / 180, now);
         },
-        setVowel(x, y, rampTime = 0.005) {
+        setVowel(x, y, rampTime = 0.005, startTime = null) {
             // Use parameter coordinator to prevent race conditions
             const vowelXParam = vowelNode.parameters.get('vowelX');
             const vowelYParam = vowelNode.parameters.get('vowelY');
             
-            updateVowelParam(vowelXParam, x, rampTime, 'vowel-synth-x');
-            updateVowelParam(vowelYParam, y, rampTime, 'vowel-synth-y');
+            updateVowelParam(vowelXParam, x, rampTime, 'vowel-synth-x', startTime);
+            updateVowelParam(vowelYParam, y, rampTime, 'vowel-synth-y', startTime);
         },
         disconnect() {
             vowelNode.disconnect();
@@ -198,13 +198,13 @@ function createZingSynthesizer(frequency, params = {}) {
             if (newParams.f1PhaseOffset !== undefined) zingNode.parameters.get('f1PhaseOffset').setValueAtTime(newParams.f1PhaseOffset * Math.PI / 180, now);
             if (newParams.f2PhaseOffset !== undefined) zingNode.parameters.get('f2PhaseOffset').setValueAtTime(newParams.f2PhaseOffset * Math.PI / 180, now);
         },
-        setVowel(x, y, rampTime = 0.005) {
+        setVowel(x, y, rampTime = 0.005, startTime = null) {
             // Use parameter coordinator to prevent race conditions
             const vowelXParam = zingNode.parameters.get('vowelX');
             const vowelYParam = zingNode.parameters.get('vowelY');
             
-            updateVowelParam(vowelXParam, x, rampTime, 'zing-synth-x');
-            updateVowelParam(vowelYParam, y, rampTime, 'zing-synth-y');
+            updateVowelParam(vowelXParam, x, rampTime, 'zing-synth-x', startTime);
+            updateVowelParam(vowelYParam, y, rampTime, 'zing-synth-y', startTime);
         },
         disconnect() {
             zingNode.disconnect();
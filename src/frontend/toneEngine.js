@@ -1,7 +1,9 @@
 // Pure Functional Tone Engine
 // All functions are pure - same inputs always produce same outputs
 
-import { euclideanRhythm, patternToIntervals, intervalsToPattern } from './euclidean.js';
+import { generateRhythm, patternToIntervals, intervalsToPattern, gcd } from './euclidean.js';
+import { generateTuningBaseTones, tuningDegrees, ratioToCents, centsToRatio } from './tuning.js';
+import { mosScale, mosSizes, mosStepPattern } from './mos.js';
 
 // Deterministic shuffle using seed
 export function shuffleArray(array, seed) {
@@ -25,19 +27,81 @@ export function shuffleArray(array, seed) {
 
 // Pattern utility functions are now imported from euclidean.js
 
-// Generate base tones (all EDO frequencies)
-export function generateBaseTones(edo, rootFreq) {
+// Stretch a set of tones so its equave grows by stretchCents (every degree scales proportionally)
+function stretchTones(tones, stretchCents) {
+    if (!stretchCents) return tones;
+    const root = tones[0];
+    const equaveCents = ratioToCents(tones[tones.length - 1] / root);
+    const factor = (equaveCents + stretchCents) / equaveCents;
+    return tones.map((freq) => root * centsToRatio(ratioToCents(freq / root) * factor));
+}
+
+// Ratios of harmonics m..n over harmonic m (otonal) or of n over subharmonics n..m (utonal), ascending from 1/1
+export function seriesRatios({ type, start, end }) {
+    const ratios = [];
+    for (let k = start; k <= end; k++) {
+        const [numerator, denominator] = type === "subharmonics" ? [end, start + end - k] : [k, start];
+        const divisor = gcd(numerator, denominator);
+        ratios.push({ numerator: numerator / divisor, denominator: denominator / divisor });
+    }
+    return ratios;
+}
+
+// Generate base tones (equal divisions of the equave, a harmonic series, or the degrees of a Scala tuning)
+// Tunings and series bring their own equave, so `equave` only applies to the EDO; the stretch applies to all
+export function generateBaseTones(edo, rootFreq, tuning = null, equave = 2, stretchCents = 0, series = null) {
+    if (tuning) {
+        return stretchTones(generateTuningBaseTones(tuning, rootFreq), stretchCents);
+    }
+    if (series) {
+        const tones = seriesRatios(series).map(({ numerator, denominator }) =>
+            (rootFreq * numerator) / denominator);
+        return stretchTones(tones, stretchCents);
+    }
+
     const tones = [];
     for (let i = 0; i <= edo; i++) {
-        tones.push(rootFreq * Math.pow(2, i / edo));
+        tones.push(rootFreq * Math.pow(equave, i / edo));
     }
-    return tones;
+    return stretchTones(tones, stretchCents);
 }
 
-// Generate scale tones using Euclidean algorithm
-export function generateScaleTones(baseTones, scaleNotes, scaleRotation) {
+// Describe each base degree: its ratio when the tuning gives one, otherwise its cents
+export function generateBaseLabels(edo, tuning = null, equave = 2, stretchCents = 0, series = null) {
+    const formatCents = (cents) =>
+        `${Number.isInteger(cents) ? cents : cents.toFixed(1)}¢`;
+
+    if (tuning) {
+        const degrees = tuningDegrees(tuning);
+        const equaveCents = degrees[degrees.length - 1].cents;
+        const factor = (equaveCents + stretchCents) / equaveCents;
+        // Stretching breaks exact ratios, so only unstretched tunings show them
+        return degrees.map(({ cents, ratio }) =>
+            (!stretchCents && ratio) || formatCents(cents * factor));
+    }
+
+    if (series) {
+        const ratios = seriesRatios(series);
+        const last = ratios[ratios.length - 1];
+        const equaveCents = ratioToCents(last.numerator / last.denominator);
+        const factor = (equaveCents + stretchCents) / equaveCents;
+        return ratios.map(({ numerator, denominator }) => stretchCents
+            ? formatCents(ratioToCents(numerator / denominator) * factor)
+            : `${numerator}/${denominator}`);
+    }
+
+    const equaveCents = ratioToCents(equave) + stretchCents;
+    const labels = [];
+    for (let i = 0; i <= edo; i++) {
+        labels.push(formatCents((equaveCents * i) / edo));
+    }
+    return labels;
+}
+
+// Generate scale tones using a rhythm generator (Euclidean by default)
+export function generateScaleTones(baseTones, scaleNotes, scaleRotation, scaleMethod = "euclidean", methodOptions = {}) {
     const edo = baseTones.length - 1;
-    const pattern = euclideanRhythm(scaleNotes, edo);
+    const pattern = generateRhythm(scaleMethod, scaleNotes, edo, methodOptions);
 
     // Get original positions
     const originalPositions = [];
@@ -100,8 +164,41 @@ export function generateScaleTones(baseTones, scaleNotes, scaleRotation) {
     return { scaleTones, scaleIndices };
 }
 
-// Generate chord tones using Euclidean algorithm on scale
-export function generateChordTones(scaleTones, scaleIndices, chordNotes, chordRotation) {
+// Generate a moment-of-symmetry scale by stacking a generator inside the base equave
+// The result has the same shape as generateScaleTones output (every index is a scale degree)
+export function generateMosScaleTones(baseTones, generatorCents, mosSize, scaleRotation) {
+    const rootFreq = baseTones[0];
+    const periodCents = ratioToCents(baseTones[baseTones.length - 1] / rootFreq);
+    const sizes = mosSizes(generatorCents, periodCents);
+
+    // Fall back to the nearest reachable size when the requested one is not a MOS
+    const size = sizes.length === 0
+        ? 1
+        : sizes.reduce((best, candidate) =>
+            Math.abs(candidate - mosSize) < Math.abs(best - mosSize) ? candidate : best);
+
+    const { steps } = mosScale(generatorCents, periodCents, size);
+
+    // Rotate the step pattern to select the mode, as generateScaleTones rotates intervals
+    const rot = scaleRotation % steps.length;
+    const rotatedSteps = [...steps.slice(rot), ...steps.slice(0, rot)];
+
+    const scaleTones = [rootFreq];
+    let cents = 0;
+    rotatedSteps.forEach((step) => {
+        cents += step;
+        scaleTones.push(rootFreq * centsToRatio(cents));
+    });
+
+    return {
+        scaleTones,
+        scaleIndices: scaleTones.map((_, index) => index),
+        mos: { sizes, size, generatorCents, periodCents, ...mosStepPattern(rotatedSteps) },
+    };
+}
+
+// Generate chord tones using a rhythm generator on scale (Euclidean by default)
+export function generateChordTones(scaleTones, scaleIndices, chordNotes, chordRotation, chordMethod = "euclidean", methodOptions = {}) {
     const edo = scaleTones.length - 1;
     const activeScaleTones = scaleIndices.filter((s) => s < edo);
 
@@ -112,8 +209,8 @@ export function generateChordTones(scaleTones, scaleIndices, chordNotes, chordRo
         };
     }
 
-    // Generate chord pattern from scale using Euclidean algorithm
-    const chordPattern = euclideanRhythm(chordNotes, activeScaleTones.length);
+    // Generate chord pattern from scale using the chosen generator
+    const chordPattern = generateRhythm(chordMethod, chordNotes, activeScaleTones.length, methodOptions);
 
     if (chordNotes === 0) {
         return {
@@ -122,18 +219,16 @@ export function generateChordTones(scaleTones, scaleIndices, chordNotes, chordRo
         };
     }
 
-    // Use interval-based rotation approach
+    // Use interval-based rotation approach (also anchors non-Euclidean patterns on the root)
     let rotatedPattern = chordPattern;
-    if (chordRotation > 0) {
-        const canonicalIntervals = patternToIntervals(chordPattern);
-        if (canonicalIntervals.length > 0) {
-            const rot = chordRotation % canonicalIntervals.length;
-            const rotatedIntervals = [
-                ...canonicalIntervals.slice(rot),
-                ...canonicalIntervals.slice(0, rot),
-            ];
-            rotatedPattern = intervalsToPattern(rotatedIntervals, activeScaleTones.length);
-        }
+    const canonicalIntervals = patternToIntervals(chordPattern);
+    if (canonicalIntervals.length > 0) {
+        const rot = chordRotation % canonicalIntervals.length;
+        const rotatedIntervals = [
+            ...canonicalIntervals.slice(rot),
+            ...canonicalIntervals.slice(0, rot),
+        ];
+        rotatedPattern = intervalsToPattern(rotatedIntervals, activeScaleTones.length);
     }
 
     // Build chord positions from rotated pattern
@@ -174,8 +269,15 @@ export function generateSequenceTones(
     sequenceBase,
     sequenceOctaves,
     sequenceRotation,
-    randomSeed = 12345 // Default seed for random method
+    randomSeed = 12345, // Default seed for random method
+    options = {} // Voicing and expansion options, below
 ) {
+    const {
+        methodOptions = {}, // Extra generator options (e.g. Sturmian density and max length)
+        equaveRatio = 2, // Interval of repetition used to expand across "octaves"
+        voicing = { mode: "close", inversion: 0 }, // Chord voicing applied to every octave before selection
+        expansionRatio = equaveRatio, // Interval stacked to build the pool (anything but the equave makes it spiral)
+    } = options;
     const edo = chordTones.length - 1;
 
     if (
@@ -186,22 +288,28 @@ export function generateSequenceTones(
         return { sequenceTones: [], sequenceIndices: [] };
     }
 
-    // Expand chord tones across octaves
+    // Voice the chord, then expand the voiced chord across octaves
+    const closeChord = chordIndices
+        .filter((index) => index < edo && chordTones[index] > 0)
+        .map((index) => chordTones[index]);
+    const voicedChord = voiceChord(closeChord, voicing.mode, voicing.inversion, equaveRatio);
+
     const expandedTones = [];
     const minOctave = sequenceBase;
     const maxOctave = sequenceBase + sequenceOctaves - 1;
 
     for (let octave = minOctave; octave <= maxOctave; octave++) {
-        chordIndices.forEach((index) => {
-            if (index < edo) {
-                const baseTone = chordTones[index];
-                if (baseTone > 0) {
-                    const freq = baseTone * Math.pow(2, octave);
-                    expandedTones.push(freq);
-                }
-            }
+        voicedChord.forEach((freq) => {
+            expandedTones.push(freq * Math.pow(expansionRatio, octave));
         });
     }
+    // Voicings and non-equave stacks overlap, so keep the pool in pitch order (without repeats) for selection
+    expandedTones.sort((a, b) => a - b);
+    for (let i = expandedTones.length - 1; i > 0; i--) {
+        if (Math.abs(ratioToCents(expandedTones[i] / expandedTones[i - 1])) < 1e-6) {
+            expandedTones.splice(i, 1);
+        }
+    }
 
     if (expandedTones.length === 0) {
         return { sequenceTones: [], sequenceIndices: [] };
@@ -210,10 +318,20 @@ export function generateSequenceTones(
     // Select subset using chosen method
     let selectedIndices = [];
 
-    if (sequenceMethod === "euclidean") {
-        const numToSelect = Math.min(sequenceNotes, expandedTones.length);
-        const pattern = euclideanRhythm(numToSelect, expandedTones.length);
+    const numToSelect = Math.min(sequenceNotes, expandedTones.length);
+    const pattern = generateRhythm(sequenceMethod, numToSelect, expandedTones.length, {
+        ...methodOptions,
+        seed: randomSeed,
+    });
 
+    if (sequenceMethod === "random") {
+        // Random selection has no meaningful rotation
+        pattern.forEach((select, i) => {
+            if (select) {
+                selectedIndices.push(i);
+            }
+        });
+    } else {
         // Apply rotation
         let rotatedPattern = [...pattern];
         if (sequenceRotation && sequenceRotation > 0) {
@@ -229,23 +347,6 @@ export function generateSequenceTones(
                 selectedIndices.push(i);
             }
         });
-    } else if (sequenceMethod === "random") {
-        const numToSelect = Math.min(sequenceNotes, expandedTones.length);
-        const available = [...Array(expandedTones.length).keys()];
-        
-        // Use seeded random for deterministic results
-        let currentSeed = randomSeed;
-        function seededRandom() {
-            currentSeed = (currentSeed * 1664525 + 1013904223) % (2**32);
-            return currentSeed / (2**32);
-        }
-        
-        for (let i = 0; i < numToSelect; i++) {
-            const randomIndex = Math.floor(seededRandom() * available.length);
-            selectedIndices.push(available[randomIndex]);
-            available.splice(randomIndex, 1);
-        }
-        selectedIndices.sort((a, b) => a - b);
     }
 
     // Return selected tones
@@ -256,17 +357,235 @@ export function generateSequenceTones(
     return { sequenceTones, sequenceIndices: selectedIndices };
 }
 
+// Interval used to stack the sequence pool
+// "equave" repeats the chord; "fifth" stacks the base tone nearest 3/2; "chordTone" stacks the nth chord
+// tone above the chord root; "ratio" stacks an arbitrary ratio
+export function resolveExpansionRatio(mode, baseTones, chordTones, chordIndices, options = {}) {
+    const equave = baseTones[baseTones.length - 1] / baseTones[0];
+
+    switch (mode) {
+        case "fifth": {
+            const ratios = baseTones.slice(1).map((freq) => freq / baseTones[0]);
+            return ratios.reduce((best, ratio) =>
+                Math.abs(ratioToCents(ratio / 1.5)) < Math.abs(ratioToCents(best / 1.5)) ? ratio : best);
+        }
+        case "chordTone": {
+            const index = chordIndices[options.chordTone];
+            const ratio = index !== undefined ? chordTones[index] / chordTones[chordIndices[0]] : 0;
+            return ratio > 1 ? ratio : equave;
+        }
+        case "ratio":
+            return options.ratio > 1 ? options.ratio : equave;
+        default:
+            return equave;
+    }
+}
+
+// Voice a close-position chord (ascending, within one equave)
+// inversion: lowest tones moved up an equave; drop2/drop3: second/third highest moved down;
+// open: every other tone moved up; ladder: the nth tone moved up n equaves (one tone per octave)
+export function voiceChord(chord, mode = "close", inversion = 0, equaveRatio = 2) {
+    if (chord.length === 0) return [];
+
+    const count = inversion % chord.length;
+    let voiced = [
+        ...chord.slice(count),
+        ...chord.slice(0, count).map((freq) => freq * equaveRatio),
+    ];
+
+    switch (mode) {
+        case "drop2":
+        case "drop3": {
+            const drop = mode === "drop2" ? 2 : 3;
+            if (voiced.length >= drop) {
+                const index = voiced.length - drop;
+                voiced[index] /= equaveRatio;
+            }
+            break;
+        }
+        case "open":
+            voiced = voiced.map((freq, i) => (i % 2 === 1 ? freq * equaveRatio : freq));
+            break;
+        case "ladder":
+            voiced = voiced.map((freq, i) => freq * Math.pow(equaveRatio, i));
+            break;
+    }
+
+    return voiced.sort((a, b) => a - b);
+}
+
+// Seeded random source matching shuffleArray's generator
+function seededRandomSource(seed) {
+    let currentSeed = seed;
+    return () => {
+        currentSeed = (currentSeed * 1664525 + 1013904223) % (2**32);
+        return currentSeed / (2**32);
+    };
+}
+
+// Greedy walk that always moves to the closest unvisited tone (in cents), from a seeded start
+function nearestNeighbourWalk(sorted, random) {
+    const remaining = [...sorted];
+    const walk = remaining.splice(Math.floor(random() * remaining.length), 1);
+    while (remaining.length > 0) {
+        const current = walk[walk.length - 1];
+        let nearest = 0;
+        remaining.forEach((freq, i) => {
+            if (Math.abs(Math.log2(freq / current)) < Math.abs(Math.log2(remaining[nearest] / current))) {
+                nearest = i;
+            }
+        });
+        walk.push(remaining.splice(nearest, 1)[0]);
+    }
+    return walk;
+}
+
+// Random walk over the sorted pool, moving up to ±range steps at a time (reflecting at the ends)
+function randomWalk(sorted, range, random) {
+    const last = sorted.length - 1;
+    const span = Math.max(1, range);
+    let position = Math.floor(random() * sorted.length);
+    const walk = [];
+    for (let i = 0; i < sorted.length; i++) {
+        walk.push(sorted[position]);
+        // Non-zero move in [-span, span]
+        const move = Math.floor(random() * span) + 1;
+        position += random() < 0.5 ? -move : move;
+        while (position < 0 || position > last) {
+            position = position < 0 ? -position : 2 * last - position;
+        }
+        if (last === 0) position = 0;
+    }
+    return walk;
+}
+
+// Every step-th tone modulo the pool size; when step shares a factor with the size,
+// each closed cycle restarts one tone higher so every tone is used once
+function euclideanInterleave(sorted, step) {
+    const n = sorted.length;
+    const stride = ((step % n) + n) % n || 1;
+    const cycleLength = n / gcd(stride, n);
+    return sorted.map((_, i) =>
+        sorted[(Math.floor(i / cycleLength) + (i % cycleLength) * stride) % n]);
+}
+
+// Markov chains over a tone pool
+// Matrices are row-stochastic: matrix[i][j] is the chance of moving from tones[i] to tones[j]
+
+// Transitions weighted by interval size, so steps are likelier than leaps (no repeated notes)
+export function intervalTransitionMatrix(tones, spreadCents = 200) {
+    return tones.map((from, i) => {
+        const weights = tones.map((to, j) =>
+            i === j ? 0 : Math.exp(-Math.abs(ratioToCents(to / from)) / spreadCents));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        return total > 0 ? weights.map((weight) => weight / total) : weights.map(() => 1 / tones.length);
+    });
+}
+
+// Transitions counted from a melody (frequencies), each note snapped to the nearest pool tone
+// Tones the melody never leaves fall back to the interval-based row
+export function learnTransitionMatrix(tones, melody) {
+    const nearestIndex = (freq) => tones.reduce((best, tone, i) =>
+        Math.abs(Math.log2(tone / freq)) < Math.abs(Math.log2(tones[best] / freq)) ? i : best, 0);
+
+    const counts = tones.map(() => tones.map(() => 0));
+    const states = melody.filter((freq) => freq > 0).map(nearestIndex);
+    for (let k = 1; k < states.length; k++) {
+        counts[states[k - 1]][states[k]]++;
+    }
+
+    const fallback = intervalTransitionMatrix(tones);
+    return counts.map((row, i) => {
+        const total = row.reduce((sum, count) => sum + count, 0);
+        return total > 0 ? row.map((count) => count / total) : fallback[i];
+    });
+}
+
+// Walk a transition matrix for a fixed number of steps from a seeded starting tone
+export function markovWalk(tones, matrix, length, seed = 12345) {
+    if (tones.length === 0) return [];
+    const random = seededRandomSource(seed);
+
+    let state = Math.floor(random() * tones.length);
+    const walk = [];
+    for (let step = 0; step < length; step++) {
+        walk.push(tones[state]);
+        let threshold = random();
+        let next = matrix[state].findIndex((chance) => (threshold -= chance) < 0);
+        // Rounding can leave the threshold just above zero; stay on the last possible tone
+        if (next === -1) next = matrix[state].findLastIndex((chance) => chance > 0);
+        state = next === -1 ? state : next;
+    }
+    return walk;
+}
+
 // Order tones according to specified method
-export function orderTones(tones, method, seed = 12345) {
+// orderStep is the walk range for "randomWalk" and the stride for "interleave"
+// markov configures the "markov" walk: transitions from "intervals" or "learned" from a melody, and its length
+export function orderTones(tones, method, seed = 12345, orderStep = 2, markov = {}) {
+    const sorted = [...tones].sort((a, b) => a - b);
+    if (sorted.length < 2 && method !== "markov") return sorted;
+
+    const low = sorted[0];
+    const high = sorted[sorted.length - 1];
+    const inner = sorted.slice(1, -1);
+
     switch (method) {
         case "forward":
-            return [...tones].sort((a, b) => a - b);
+            return sorted;
         
         case "reverse":
-            return [...tones].sort((a, b) => b - a);
+            return sorted.reverse();
         
         case "shuffle":
             return shuffleArray(tones, seed);
+
+        // Up then down without repeating the turnaround tones: 1 2 3 4 3 2
+        case "updown":
+            return [...sorted, ...inner.reverse()];
+
+        // Up then down repeating both ends: 1 2 3 4 4 3 2 1
+        case "updownRepeat":
+            return [...sorted, ...[...sorted].reverse()];
+
+        // Outside in, alternating low and high: 1 4 2 3
+        case "converge": {
+            const result = [];
+            for (let i = 0, j = sorted.length - 1; i <= j; i++, j--) {
+                result.push(sorted[i]);
+                if (i !== j) result.push(sorted[j]);
+            }
+            return result;
+        }
+
+        // Inside out, the reverse of converge: 3 2 4 1
+        case "diverge":
+            return orderTones(tones, "converge").reverse();
+
+        // Top tone alternating with the rest ascending: 4 1 4 2 4 3
+        case "pinkyPedal":
+            return sorted.slice(0, -1).flatMap((freq) => [high, freq]);
+
+        // Bottom tone alternating with the rest ascending: 1 2 1 3 1 4
+        case "thumbPedal":
+            return sorted.slice(1).flatMap((freq) => [low, freq]);
+
+        case "nearest":
+            return nearestNeighbourWalk(sorted, seededRandomSource(seed));
+
+        case "randomWalk":
+            return randomWalk(sorted, orderStep, seededRandomSource(seed));
+
+        case "interleave":
+            return euclideanInterleave(sorted, orderStep);
+
+        case "markov": {
+            const { source = "intervals", melody = [], length = sorted.length } = markov;
+            const matrix = source === "learned" && melody.length > 1
+                ? learnTransitionMatrix(sorted, melody)
+                : intervalTransitionMatrix(sorted);
+            return markovWalk(sorted, matrix, length, seed);
+        }
         
         default:
             return [...tones]; // Keep original order for unknown methods
@@ -276,21 +595,33 @@ export function orderTones(tones, method, seed = 12345) {
 // Main function: generate all tone data from parameters
 export function generateToneData(params) {
     // Generate base tones
-    const baseTones = generateBaseTones(params.edo, params.rootFreq);
+    const equave = params.equave || 2;
+    const stretch = params.octaveStretch || 0;
+    const series = params.baseSource && params.baseSource !== "edo"
+        ? { type: params.baseSource, start: params.seriesStart, end: params.seriesEnd }
+        : null;
+    const baseTones = generateBaseTones(params.edo, params.rootFreq, params.tuning, equave, stretch, series);
+    const baseLabels = generateBaseLabels(params.edo, params.tuning, equave, stretch, series);
     
-    // Generate scale tones
-    const { scaleTones, scaleIndices } = generateScaleTones(
-        baseTones,
-        params.scaleNotes,
-        params.scaleRotation
-    );
+    // Generate scale tones (a MOS scale replaces the selection from the base tones)
+    const { scaleTones, scaleIndices, mos = null } = params.scaleMethod === "mos"
+        ? generateMosScaleTones(baseTones, params.mosGenerator, params.mosSize, params.scaleRotation)
+        : generateScaleTones(
+            baseTones,
+            params.scaleNotes,
+            params.scaleRotation,
+            params.scaleMethod,
+            { necklace: params.scaleNecklace }
+        );
     
     // Generate chord tones
     const { chordTones, chordIndices } = generateChordTones(
         scaleTones,
         scaleIndices,
         params.chordNotes,
-        params.chordRotation
+        params.chordRotation,
+        params.chordMethod,
+        { necklace: params.chordNecklace }
     );
     
     // Generate sequence tones
@@ -302,16 +633,279 @@ export function generateToneData(params) {
         params.sequenceBase,
         params.sequenceOctaves,
         params.sequenceRotation,
-        params.randomSeed || 12345
+        params.randomSeed || 12345,
+        {
+            methodOptions: { density: params.sturmianDensity, maxLength: params.sturmianMaxLength },
+            equaveRatio: baseTones[baseTones.length - 1] / baseTones[0],
+            voicing: { mode: params.sequenceVoicing || "close", inversion: params.sequenceInversion || 0 },
+            expansionRatio: resolveExpansionRatio(params.expansionMode, baseTones, chordTones, chordIndices, {
+                chordTone: params.expansionChordTone,
+                ratio: params.expansionRatio,
+            }),
+        }
     );
     
+    const consonance = chordConsonance(
+        chordWithoutEquave(chordTones, chordIndices), params.jiLimit || 16);
+
     return {
         baseTones,
+        baseLabels,
         scaleTones,
         scaleIndices,
+        mos,
         chordTones,
         chordIndices,
+        consonance,
         sequenceTones,
         sequenceIndices,
     };
-}
\ No newline at end of file
+}
+
+// Just-intonation analysis
+
+// Nearest small-integer ratio n/d (both terms at most `limit`) and the tone's error from it in cents
+// Among ratios within `tolerance` cents the simplest (lowest Tenney height) wins, so 300¢ reads as 6/5
+export function nearestJustRatio(ratio, limit = 16, tolerance = 20) {
+    let nearest = null;
+    let simplest = null;
+    for (let denominator = 1; denominator <= limit; denominator++) {
+        const numerator = Math.round(ratio * denominator);
+        if (numerator < 1 || numerator > limit || gcd(numerator, denominator) !== 1) continue;
+
+        const candidate = {
+            numerator,
+            denominator,
+            error: 1200 * Math.log2(ratio / (numerator / denominator)),
+        };
+        if (!nearest || Math.abs(candidate.error) < Math.abs(nearest.error)) {
+            nearest = candidate;
+        }
+        if (Math.abs(candidate.error) <= tolerance &&
+            (!simplest || numerator * denominator < simplest.numerator * simplest.denominator)) {
+            simplest = candidate;
+        }
+    }
+
+    const best = simplest || nearest;
+    if (!best) return null;
+    return { ...best, ratio: `${best.numerator}/${best.denominator}` };
+}
+
+// Tenney height log2(n * d) of a ratio in lowest terms: larger means more complex
+export function tenneyHeight(numerator, denominator) {
+    return Math.log2(numerator * denominator);
+}
+
+// Nearest just ratio to the root for every active tone of a stage
+export function justAnalysis(tones, indices, limit = 16) {
+    const root = tones[0] || tones.find((freq) => freq > 0);
+    return indices
+        .filter((index) => tones[index] > 0)
+        .map((index) => ({ index, ...nearestJustRatio(tones[index] / root, limit) }));
+}
+
+// Consonance of a set of frequencies: mean Tenney height of every pair's nearest just ratio
+// Lower scores are more consonant; meanError says how well the pairs approximate those ratios
+export function chordConsonance(frequencies, limit = 16) {
+    const tones = [...frequencies].filter((freq) => freq > 0).sort((a, b) => a - b);
+    const pairs = [];
+    for (let i = 0; i < tones.length; i++) {
+        for (let j = i + 1; j < tones.length; j++) {
+            const just = nearestJustRatio(tones[j] / tones[i], limit);
+            if (just) pairs.push(just);
+        }
+    }
+
+    if (pairs.length === 0) {
+        return { score: 0, meanError: 0, pairs };
+    }
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    return {
+        score: mean(pairs.map((pair) => tenneyHeight(pair.numerator, pair.denominator))),
+        meanError: mean(pairs.map((pair) => Math.abs(pair.error))),
+        pairs,
+    };
+}
+
+// Pull a tone toward the just ratio it approximates over the chord root
+// The interval is reduced into one equave first, so expanded octaves temper like the chord itself
+export function temperToJust(freq, chordRootFreq, strength, limit = 16, equaveRatio = 2) {
+    if (!(strength > 0) || !(freq > 0) || !(chordRootFreq > 0)) return freq;
+
+    const equaves = Math.floor(Math.log(freq / chordRootFreq) / Math.log(equaveRatio));
+    const reduced = freq / chordRootFreq / Math.pow(equaveRatio, equaves);
+    const just = nearestJustRatio(reduced, limit);
+    if (!just) return freq;
+
+    return freq * Math.pow(2, (-strength * just.error) / 1200);
+}
+
+// Chord tones without the repeated equave, which would only dilute the score
+function chordWithoutEquave(chordTones, chordIndices) {
+    const equaveIndex = chordTones.length - 1;
+    return chordIndices
+        .filter((index) => index !== equaveIndex)
+        .map((index) => chordTones[index]);
+}
+
+// Score every EDO / scale rotation / chord rotation combination and sort the most consonant first
+export function rankChordConsonance(params, { edoMin = 5, edoMax = 24, limit = 16 } = {}) {
+    const results = [];
+    for (let edo = edoMin; edo <= edoMax; edo++) {
+        if (params.scaleNotes > edo) continue;
+
+        const baseTones = generateBaseTones(
+            edo, params.rootFreq, null, params.equave || 2, params.octaveStretch || 0);
+
+        for (let scaleRotation = 0; scaleRotation < params.scaleNotes; scaleRotation++) {
+            const { scaleTones, scaleIndices } = generateScaleTones(
+                baseTones, params.scaleNotes, scaleRotation, params.scaleMethod,
+                { necklace: params.scaleNecklace });
+
+            for (let chordRotation = 0; chordRotation < params.chordNotes; chordRotation++) {
+                const { chordTones, chordIndices } = generateChordTones(
+                    scaleTones, scaleIndices, params.chordNotes, chordRotation, params.chordMethod,
+                    { necklace: params.chordNecklace });
+
+                const { score, meanError } = chordConsonance(
+                    chordWithoutEquave(chordTones, chordIndices), limit);
+                results.push({ edo, scaleRotation, chordRotation, score, meanError, chordIndices });
+            }
+        }
+    }
+
+    // Several scale rotations often yield the same chord; keep the first of each
+    const seen = new Set();
+    return results
+        .sort((a, b) => a.score - b.score || a.meanError - b.meanError)
+        .filter(({ edo, chordIndices }) => {
+            const key = `${edo}:${chordIndices.join(",")}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+// Reverse lookup
+
+// Parse a target pitch set: cents ("0 200 386.3") or 12-TET pitch classes ("0 2 4 5 7 9 11")
+export function parsePitchSet(text, unit = "cents") {
+    const values = text
+        .split(/[\s,]+/)
+        .filter((token) => token !== "")
+        .map((token) => parseFloat(token) * (unit === "12tet" ? 100 : 1));
+    if (values.length === 0 || values.some((value) => !Number.isFinite(value))) {
+        throw new Error(`Cannot read pitch set "${text}"`);
+    }
+    return values;
+}
+
+// Cents above the root of a stage's tones, without the equave
+function stageCents(tones, indices) {
+    const equaveIndex = tones.length - 1;
+    return indices
+        .filter((index) => index !== equaveIndex && tones[index] > 0)
+        .map((index) => ratioToCents(tones[index] / tones[0]))
+        .sort((a, b) => a - b);
+}
+
+// Largest difference between two sorted cents lists of equal length (Infinity if the sizes differ)
+function pitchSetError(actual, target) {
+    if (actual.length !== target.length) return Infinity;
+    return Math.max(...actual.map((cents, i) => Math.abs(cents - target[i])));
+}
+
+// Find every EDO / size / rotation combination whose scale or chord matches a target pitch set
+// Target cents are measured from the root and reduced into one equave; results are sorted by error
+export function solveToneParameters(targetCents, params, { stage = "scale", tolerance = 0, edoMin = 5, edoMax = 24 } = {}) {
+    const equave = params.equave || 2;
+    const equaveCents = ratioToCents(equave) + (params.octaveStretch || 0);
+    const target = [...new Set(targetCents.map((cents) =>
+        Math.round((((cents % equaveCents) + equaveCents) % equaveCents) * 1e6) / 1e6))]
+        .sort((a, b) => a - b);
+    const size = target.length;
+    // Rounding slack so exact matches survive floating point
+    const limit = tolerance + 1e-6;
+
+    // A MOS scale ignores the EDO, so the solver searches Euclidean-style selections instead
+    const scaleMethod = params.scaleMethod === "mos" ? "euclidean" : params.scaleMethod;
+    const scaleOptions = { necklace: params.scaleNecklace };
+    const chordOptions = { necklace: params.chordNecklace };
+
+    const results = [];
+    for (let edo = edoMin; edo <= edoMax; edo++) {
+        const baseTones = generateBaseTones(edo, params.rootFreq, null, equave, params.octaveStretch || 0);
+        const scaleSizes = stage === "scale" ? [size] : [];
+        if (stage === "chord") {
+            for (let scaleNotes = size; scaleNotes <= edo; scaleNotes++) scaleSizes.push(scaleNotes);
+        }
+
+        scaleSizes.forEach((scaleNotes) => {
+            if (scaleNotes > edo) return;
+            for (let scaleRotation = 0; scaleRotation < scaleNotes; scaleRotation++) {
+                const { scaleTones, scaleIndices } = generateScaleTones(
+                    baseTones, scaleNotes, scaleRotation, scaleMethod, scaleOptions);
+
+                if (stage === "scale") {
+                    const error = pitchSetError(stageCents(scaleTones, scaleIndices), target);
+                    if (error <= limit) {
+                        results.push({ stage, edo, scaleNotes, scaleRotation, error });
+                    }
+                    continue;
+                }
+
+                for (let chordRotation = 0; chordRotation < size; chordRotation++) {
+                    const { chordTones, chordIndices } = generateChordTones(
+                        scaleTones, scaleIndices, size, chordRotation, params.chordMethod, chordOptions);
+                    const error = pitchSetError(stageCents(chordTones, chordIndices), target);
+                    if (error <= limit) {
+                        results.push({
+                            stage, edo, scaleNotes, scaleRotation, chordNotes: size, chordRotation, error,
+                        });
+                    }
+                }
+            }
+        });
+    }
+
+    return results.sort((a, b) => a.error - b.error || a.edo - b.edo);
+}
+
+// Describe tone data for export: frequencies, cents above the root and step indices
+export function buildToneDataExport(toneData, params, sequencePattern = null) {
+    const root = toneData.baseTones[0];
+    const describe = (freq, step) => ({
+        step,
+        frequency: freq,
+        cents: 1200 * Math.log2(freq / root),
+    });
+    const describeIndices = (tones, indices) =>
+        indices.filter((index) => tones[index] > 0).map((index) => describe(tones[index], index));
+
+    const { tuning, ...plainParams } = params;
+
+    return {
+        params: plainParams,
+        tuning: tuning
+            ? { name: tuning.name, description: tuning.scl.description, hasKeyboardMap: !!tuning.kbm }
+            : null,
+        rootFreq: root,
+        base: toneData.baseTones.map((freq, index) => ({
+            ...describe(freq, index),
+            label: toneData.baseLabels ? toneData.baseLabels[index] : null,
+        })),
+        scale: describeIndices(toneData.scaleTones, toneData.scaleIndices),
+        chord: describeIndices(toneData.chordTones, toneData.chordIndices),
+        mos: toneData.mos || null,
+        // Sequence steps index the expanded multi-octave pool
+        sequence: describeIndices(toneData.sequenceTones, toneData.sequenceIndices),
+        pattern: sequencePattern
+            ? {
+                  steps: sequencePattern.steps,
+                  rhythm: sequencePattern.rhythm,
+                  portamento: sequencePattern.portamento,
+              }
+            : null,
+    };
+}
@@ -1,9 +1,12 @@
-// Import unified euclidean utilities
-import { euclideanRhythm, patternToIntervals, intervalsToPattern } from './euclidean.js';
-
-// Pattern utilities are now imported from unified euclidean.js
-
-// Euclidean algorithm is now unified in euclidean.js
+// Import the pure tone engine stages
+import {
+    generateBaseTones,
+    generateScaleTones,
+    generateChordTones,
+    generateSequenceTones,
+    generateToneData,
+    orderTones as orderEngineTones,
+} from './toneEngine.js';
 
 // Simplified Pipeline - Pure Functions
 export class TonePipeline {
@@ -11,6 +14,12 @@ export class TonePipeline {
         this.params = {
             edo: 12,
             rootFreq: 261.63,
+            tuning: null, // Parsed Scala tuning ({ scl, kbm }) replacing the EDO
+            equave: 2,
+            octaveStretch: 0,
+            baseSource: "edo",
+            seriesStart: 8,
+            seriesEnd: 16,
             scaleNotes: 7,
             scaleRotation: 0,
             chordNotes: 4,
@@ -20,6 +29,9 @@ export class TonePipeline {
             sequenceBase: 0,
             sequenceOctaves: 2,
             sequenceRotation: 0,
+            sequenceVoicing: "close",
+            sequenceInversion: 0,
+            expansionMode: "equave",
         };
 
         // Shuffle cache integrated into pipeline
@@ -31,40 +43,7 @@ export class TonePipeline {
 
     // Get current data in the old format for compatibility
     getCurrentData() {
-        const baseTones = this.generateBaseTones(
-            this.params.edo,
-            this.params.rootFreq,
-        );
-        const { scaleTones, scaleIndices } = this.generateScaleTones(
-            baseTones,
-            this.params.scaleNotes,
-            this.params.scaleRotation,
-        );
-        const { chordTones, chordIndices } = this.generateChordTones(
-            scaleTones,
-            scaleIndices,
-            this.params.chordNotes,
-            this.params.chordRotation,
-        );
-        const { sequenceTones, sequenceIndices } = this.generateSequenceTones(
-            chordTones,
-            chordIndices,
-            this.params.sequenceNotes,
-            this.params.sequenceMethod,
-            this.params.sequenceBase,
-            this.params.sequenceOctaves,
-            this.params.sequenceRotation,
-        );
-
-        return {
-            baseTones,
-            scaleTones,
-            scaleIndices,
-            chordTones,
-            chordIndices,
-            sequenceTones,
-            sequenceIndices,
-        };
+        return generateToneData(this.params);
     }
 
     updateParam(paramName, value) {
@@ -76,10 +55,21 @@ export class TonePipeline {
             [
                 "edo",
                 "rootFreq",
+                "tuning",
+                "equave",
+                "octaveStretch",
+                "baseSource",
+                "seriesStart",
+                "seriesEnd",
                 "scaleNotes",
                 "chordNotes",
                 "sequenceNotes",
                 "sequenceMethod",
+                "sequenceVoicing",
+                "sequenceInversion",
+                "expansionMode",
+                "expansionChordTone",
+                "expansionRatio",
             ].includes(paramName)
         ) {
             this.clearShuffleCache();
@@ -128,7 +118,7 @@ export class TonePipeline {
             default:
                 this.shuffleCache.mono = null;
                 this.shuffleCache.poly = null;
-                return [...tones]; // Keep original order for unknown methods
+                return orderEngineTones(tones, method); // Arpeggio orders, or original order for unknown methods
         }
     }
 
@@ -143,218 +133,20 @@ export class TonePipeline {
         this.clearShuffleCache();
     }
 
-    // Generate base tones (all EDO frequencies)
-    generateBaseTones(edo, rootFreq) {
-        const tones = [];
-        for (let i = 0; i <= edo; i++) {
-            tones.push(rootFreq * Math.pow(2, i / edo));
-        }
-        return tones;
+    // Stage functions delegate to the pure tone engine so both paths stay identical
+    generateBaseTones(edo, rootFreq, tuning = null, equave = 2, stretchCents = 0, series = null) {
+        return generateBaseTones(edo, rootFreq, tuning, equave, stretchCents, series);
     }
 
-    // Generate scale tones using Euclidean algorithm
-    generateScaleTones(baseTones, scaleNotes, scaleRotation) {
-        const edo = baseTones.length - 1;
-        const pattern = euclideanRhythm(scaleNotes, edo);
-
-        // Get original positions
-        const originalPositions = [];
-        pattern.forEach((hasNote, index) => {
-            if (hasNote) {
-                originalPositions.push(index);
-            }
-        });
-
-        if (originalPositions.length === 0) {
-            return {
-                scaleTones: new Array(edo + 1).fill(0),
-                scaleIndices: [],
-            };
-        }
-
-        // Calculate intervals
-        const originalIntervals = [];
-        for (let i = 0; i < originalPositions.length; i++) {
-            const current = originalPositions[i];
-            const next = originalPositions[(i + 1) % originalPositions.length];
-            const interval =
-                next > current ? next - current : edo - current + next;
-            originalIntervals.push(interval);
-        }
-
-        // Apply rotation
-        let rotatedIntervals = [...originalIntervals];
-        if (scaleRotation > 0 && originalIntervals.length > 0) {
-            const rot = scaleRotation % originalIntervals.length;
-            rotatedIntervals = [
-                ...originalIntervals.slice(rot),
-                ...originalIntervals.slice(0, rot),
-            ];
-        }
-
-        // Build scale from intervals
-        const steps = [0];
-        let currentStep = 0;
-        for (let i = 0; i < rotatedIntervals.length - 1; i++) {
-            currentStep += rotatedIntervals[i];
-            steps.push(currentStep);
-        }
-
-        // Create scale tones array and indices
-        const scaleTones = new Array(edo + 1).fill(0);
-        const scaleIndices = [];
-        steps.forEach((step) => {
-            if (step <= edo) {
-                scaleTones[step] = baseTones[step];
-                scaleIndices.push(step);
-            }
-        });
-
-        // Add octave
-        scaleTones[edo] = baseTones[edo];
-        if (!scaleIndices.includes(edo)) {
-            scaleIndices.push(edo);
-        }
-
-        return { scaleTones, scaleIndices };
+    generateScaleTones(baseTones, scaleNotes, scaleRotation, scaleMethod, methodOptions) {
+        return generateScaleTones(baseTones, scaleNotes, scaleRotation, scaleMethod, methodOptions);
     }
 
-    // Generate chord tones using Euclidean algorithm on scale
-    generateChordTones(scaleTones, scaleIndices, chordNotes, chordRotation) {
-        const edo = scaleTones.length - 1;
-        const activeScaleTones = scaleIndices.filter((s) => s < edo);
-
-        if (activeScaleTones.length === 0) {
-            return {
-                chordTones: new Array(edo + 1).fill(0),
-                chordIndices: [],
-            };
-        }
-
-        // Generate chord pattern from scale using Euclidean algorithm
-        const chordPattern = euclideanRhythm(chordNotes, activeScaleTones.length);
-
-        if (chordNotes === 0) {
-            return {
-                chordTones: new Array(edo + 1).fill(0),
-                chordIndices: [],
-            };
-        }
-
-        // Use interval-based rotation approach
-        let rotatedPattern = chordPattern;
-        if (chordRotation > 0) {
-            const canonicalIntervals = patternToIntervals(chordPattern);
-            if (canonicalIntervals.length > 0) {
-                const rot = chordRotation % canonicalIntervals.length;
-                const rotatedIntervals = [
-                    ...canonicalIntervals.slice(rot),
-                    ...canonicalIntervals.slice(0, rot),
-                ];
-                rotatedPattern = intervalsToPattern(rotatedIntervals, activeScaleTones.length);
-            }
-        }
-
-        // Build chord positions from rotated pattern
-        const chordPositions = [];
-        rotatedPattern.forEach((hasNote, index) => {
-            if (hasNote) {
-                chordPositions.push(index);
-            }
-        });
-
-        // Map to actual chord tones
-        const chordTones = new Array(edo + 1).fill(0);
-        const chordIndices = [];
-
-        chordPositions.forEach((position) => {
-            const step = activeScaleTones[position];
-            chordTones[step] = scaleTones[step];
-            chordIndices.push(step);
-        });
-
-        // Add octave if it was in the scale
-        if (scaleIndices.includes(edo)) {
-            chordTones[edo] = scaleTones[edo];
-            if (!chordIndices.includes(edo)) {
-                chordIndices.push(edo);
-            }
-        }
-
-        return { chordTones, chordIndices };
+    generateChordTones(scaleTones, scaleIndices, chordNotes, chordRotation, chordMethod, methodOptions) {
+        return generateChordTones(scaleTones, scaleIndices, chordNotes, chordRotation, chordMethod, methodOptions);
     }
 
-    // Generate sequence tones from chord tones across octaves
-    generateSequenceTones(
-        chordTones,
-        chordIndices,
-        sequenceNotes,
-        sequenceMethod,
-        sequenceBase,
-        sequenceOctaves,
-        sequenceRotation,
-    ) {
-        const edo = chordTones.length - 1;
-
-        if (
-            sequenceNotes === undefined ||
-            sequenceBase === undefined ||
-            sequenceOctaves === undefined
-        ) {
-            return { sequenceTones: [], sequenceIndices: [] };
-        }
-
-        // Expand chord tones across octaves
-        const expandedTones = [];
-
-        const minOctave = sequenceBase;
-        const maxOctave = sequenceBase + sequenceOctaves - 1;
-
-        for (let octave = minOctave; octave <= maxOctave; octave++) {
-            chordIndices.forEach((index) => {
-                if (index < edo) {
-                    const baseTone = chordTones[index];
-                    if (baseTone > 0) {
-                        const freq = baseTone * Math.pow(2, octave);
-                        expandedTones.push(freq);
-                    }
-                }
-            });
-        }
-
-        if (expandedTones.length === 0) {
-            return { sequenceTones: [], sequenceIndices: [] };
-        }
-
-        // Select subset using chosen method
-        let selectedIndices = [];
-
-        if (sequenceMethod === "euclidean") {
-            const numToSelect = Math.min(sequenceNotes, expandedTones.length);
-            const pattern = euclideanRhythm(numToSelect, expandedTones.length);
-
-            // Apply rotation
-            let rotatedPattern = [...pattern];
-            if (sequenceRotation && sequenceRotation > 0) {
-                const rot = sequenceRotation % expandedTones.length;
-                rotatedPattern = [
-                    ...pattern.slice(rot),
-                    ...pattern.slice(0, rot),
-                ];
-            }
-
-            rotatedPattern.forEach((select, i) => {
-                if (select) {
-                    selectedIndices.push(i);
-                }
-            });
-        }
-
-        // Return selected tones
-        const sequenceTones = expandedTones.map((freq, i) =>
-            selectedIndices.includes(i) ? freq : 0,
-        );
-
-        return { sequenceTones, sequenceIndices: selectedIndices };
+    generateSequenceTones(chordTones, chordIndices, sequenceNotes, sequenceMethod, sequenceBase, sequenceOctaves, sequenceRotation, randomSeed, options) {
+        return generateSequenceTones(chordTones, chordIndices, sequenceNotes, sequenceMethod, sequenceBase, sequenceOctaves, sequenceRotation, randomSeed, options);
     }
 }
\ No newline at end of file
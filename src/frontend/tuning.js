@@ -0,0 +1,359 @@
+/**
+ * Tuning Files
+ *
+ * Parsing of Scala scale (.scl) and keyboard mapping (.kbm) files, and
+ * conversion of a parsed tuning into base tones for the tone pipeline.
+ * See https://www.huygens-fokker.org/scala/scl_format.html for the formats.
+ */
+
+/**
+ * Convert a frequency ratio to cents
+ * @param {number} ratio - Frequency ratio
+ * @returns {number} Size in cents
+ */
+export function ratioToCents(ratio) {
+    return 1200 * Math.log2(ratio);
+}
+
+/**
+ * Convert cents to a frequency ratio
+ * @param {number} cents - Size in cents
+ * @returns {number} Frequency ratio
+ */
+export function centsToRatio(cents) {
+    return Math.pow(2, cents / 1200);
+}
+
+/**
+ * Get the meaningful lines of a Scala file (comments removed)
+ * @param {string} text - File contents
+ * @returns {string[]} Lines that are not comments
+ */
+function scalaLines(text) {
+    return text
+        .split(/\r?\n/)
+        .filter((line) => !line.startsWith("!"));
+}
+
+/**
+ * Parse a single Scala pitch value
+ *
+ * Values containing a period are cents; anything else is a ratio ("3/2") or
+ * an integer ("2").
+ *
+ * @param {string} line - Pitch line from an .scl file
+ * @returns {{cents: number, ratio: string|null}} Parsed pitch
+ * @throws {Error} If the value cannot be read
+ */
+function parseScalaPitch(line) {
+    const token = line.trim().split(/\s+/)[0];
+    if (token.includes(".")) {
+        const cents = parseFloat(token);
+        if (!Number.isFinite(cents)) throw new Error(`Invalid cents value "${token}"`);
+        return { cents, ratio: null };
+    }
+
+    const [num, den = "1"] = token.split("/");
+    const numerator = parseInt(num);
+    const denominator = parseInt(den);
+    if (!(numerator > 0) || !(denominator > 0)) {
+        throw new Error(`Invalid ratio "${token}"`);
+    }
+    return {
+        cents: ratioToCents(numerator / denominator),
+        ratio: denominator === 1 ? `${numerator}/1` : `${numerator}/${denominator}`,
+    };
+}
+
+/**
+ * Parse a Scala .scl file
+ *
+ * Degree 0 (1/1) is implicit in the file and is added here, so `degrees` has
+ * `count + 1` entries and the last one is the equave (interval of repetition).
+ *
+ * @param {string} text - File contents
+ * @returns {{description: string, count: number,
+ *   degrees: Array<{cents: number, ratio: string|null}>, equaveCents: number}} Parsed scale
+ * @throws {Error} If the file is malformed
+ *
+ * @example
+ * parseScl("! just.scl\nJust major\n 3\n5/4\n3/2\n2/1\n").degrees.map(d => d.ratio)
+ * // Returns ["1/1", "5/4", "3/2", "2/1"]
+ */
+export function parseScl(text) {
+    const lines = scalaLines(text);
+    if (lines.length < 2) throw new Error("Scala file is missing its header");
+
+    const description = lines[0].trim();
+    const count = parseInt(lines[1].trim());
+    if (!(count > 0)) throw new Error("Scala file has no note count");
+
+    const pitchLines = lines.slice(2).filter((line) => line.trim() !== "");
+    if (pitchLines.length < count) {
+        throw new Error(`Scala file lists ${pitchLines.length} of ${count} notes`);
+    }
+
+    const degrees = [{ cents: 0, ratio: "1/1" }];
+    pitchLines.slice(0, count).forEach((line) => degrees.push(parseScalaPitch(line)));
+
+    const equaveCents = degrees[count].cents;
+    if (!(equaveCents > 0)) throw new Error("Scala equave must be larger than 1/1");
+
+    return { description, count, degrees, equaveCents };
+}
+
+/**
+ * Parse a Scala .kbm keyboard mapping file
+ *
+ * @param {string} text - File contents
+ * @returns {{mapSize: number, firstNote: number, lastNote: number, middleNote: number,
+ *   referenceNote: number, referenceFreq: number, octaveDegree: number,
+ *   mapping: Array<number|null>}} Parsed mapping (null marks unmapped keys)
+ * @throws {Error} If the file is malformed
+ */
+export function parseKbm(text) {
+    const lines = scalaLines(text)
+        .map((line) => line.trim())
+        .filter((line) => line !== "");
+    if (lines.length < 7) throw new Error("Keyboard mapping is missing its header");
+
+    const [mapSize, firstNote, lastNote, middleNote, referenceNote] = lines
+        .slice(0, 5)
+        .map((line) => parseInt(line));
+    const referenceFreq = parseFloat(lines[5]);
+    const octaveDegree = parseInt(lines[6]);
+
+    if ([mapSize, firstNote, lastNote, middleNote, referenceNote, octaveDegree].some(Number.isNaN) ||
+        !(referenceFreq > 0)) {
+        throw new Error("Keyboard mapping header is invalid");
+    }
+
+    // A map size of 0 means a linear mapping: key offset = scale degree
+    const mapping = lines.slice(7, 7 + mapSize).map((line) => {
+        const token = line.split(/\s+/)[0];
+        return token.toLowerCase() === "x" ? null : parseInt(token);
+    });
+    while (mapping.length < mapSize) mapping.push(null);
+
+    return { mapSize, firstNote, lastNote, middleNote, referenceNote, referenceFreq, octaveDegree, mapping };
+}
+
+/**
+ * List the degrees of a tuning in keyboard order, ending with the equave
+ *
+ * Without a keyboard map every scale degree is used. With one, the mapped
+ * degrees of one map period are used in key order and the formal octave degree
+ * closes the period.
+ *
+ * @param {{scl: Object, kbm: Object|null}} tuning - Parsed tuning
+ * @returns {Array<{cents: number, ratio: string|null, degree: number}>} Degrees, last one the equave
+ */
+export function tuningDegrees(tuning) {
+    const { scl, kbm } = tuning;
+    if (!kbm || kbm.mapSize === 0) {
+        return scl.degrees.map((degree, index) => ({ ...degree, degree: index }));
+    }
+
+    const octaveDegree = kbm.octaveDegree > 0 ? kbm.octaveDegree : scl.count;
+    const period = degreeCents(scl, octaveDegree);
+
+    const degrees = [];
+    kbm.mapping.forEach((degree) => {
+        if (degree === null) return;
+        degrees.push({ cents: degreeCents(scl, degree), ratio: degreeRatio(scl, degree), degree });
+    });
+    degrees.push({ cents: period, ratio: degreeRatio(scl, octaveDegree), degree: octaveDegree });
+    return degrees;
+}
+
+/**
+ * Size of any scale degree, extending past the equave
+ * @param {Object} scl - Parsed .scl
+ * @param {number} degree - Scale degree (may be negative or above count)
+ * @returns {number} Cents above degree 0
+ */
+function degreeCents(scl, degree) {
+    const equaves = Math.floor(degree / scl.count);
+    const index = degree - equaves * scl.count;
+    return scl.degrees[index].cents + equaves * scl.equaveCents;
+}
+
+/**
+ * Ratio text of a scale degree, when it lies within the first equave
+ * @param {Object} scl - Parsed .scl
+ * @param {number} degree - Scale degree
+ * @returns {string|null} Ratio text or null for cents values and other equaves
+ */
+function degreeRatio(scl, degree) {
+    return degree >= 0 && degree <= scl.count ? scl.degrees[degree].ratio : null;
+}
+
+/**
+ * Frequency of degree 0 implied by a keyboard map's reference pitch
+ *
+ * @param {{scl: Object, kbm: Object|null}} tuning - Parsed tuning
+ * @returns {number|null} Root frequency in Hz, or null without a keyboard map
+ */
+export function tuningRootFrequency(tuning) {
+    const { scl, kbm } = tuning;
+    if (!kbm) return null;
+
+    const offset = kbm.referenceNote - kbm.middleNote;
+    let degree = offset;
+    if (kbm.mapSize > 0) {
+        const periods = Math.floor(offset / kbm.mapSize);
+        const key = offset - periods * kbm.mapSize;
+        const octaveDegree = kbm.octaveDegree > 0 ? kbm.octaveDegree : scl.count;
+        const mapped = kbm.mapping[key];
+        if (mapped === null || mapped === undefined) return kbm.referenceFreq;
+        degree = mapped + periods * octaveDegree;
+    }
+    return kbm.referenceFreq / centsToRatio(degreeCents(scl, degree));
+}
+
+/**
+ * Generate base tones from a parsed tuning
+ *
+ * Produces the same shape as the EDO base tones: one frequency per degree
+ * followed by the equave.
+ *
+ * @param {{scl: Object, kbm: Object|null}} tuning - Parsed tuning
+ * @param {number} rootFreq - Frequency of degree 0 (ignored when the keyboard map sets a reference)
+ * @returns {number[]} Base tone frequencies
+ */
+export function generateTuningBaseTones(tuning, rootFreq) {
+    const root = tuningRootFrequency(tuning) ?? rootFreq;
+    return tuningDegrees(tuning).map(({ cents }) => root * centsToRatio(cents));
+}
+
+/**
+ * Describe a subset of stage tones as Scala degrees above the root
+ *
+ * @param {number[]} tones - Stage tone frequencies by step (index 0 is the root, the last is the equave)
+ * @param {number[]} indices - Step indices in the subset (e.g. scaleIndices or chordIndices)
+ * @param {Array<string|null>} [ratios] - Exact ratio text per step index, where known
+ * @returns {Array<{cents: number, ratio: string|null}>} Degrees above 1/1, ending with the equave
+ */
+export function toneSetDegrees(tones, indices, ratios = []) {
+    const equaveIndex = tones.length - 1;
+    const steps = [...new Set([...indices, equaveIndex])]
+        .filter((index) => index > 0 && index <= equaveIndex)
+        .sort((a, b) => a - b);
+
+    return steps.map((index) => ({
+        cents: ratioToCents(tones[index] / tones[0]),
+        ratio: ratios[index] || null,
+    }));
+}
+
+/**
+ * Write a Scala .scl file
+ *
+ * @param {string} description - Scale description (first line)
+ * @param {Array<{cents: number, ratio: string|null}>} degrees - Degrees above 1/1, ending with the equave
+ * @param {string} [filename] - Name recorded in the header comment
+ * @returns {string} File contents
+ */
+export function formatScl(description, degrees, filename = "scale.scl") {
+    const lines = [
+        `! ${filename}`,
+        "!",
+        description,
+        ` ${degrees.length}`,
+        "!",
+    ];
+    degrees.forEach(({ cents, ratio }) => {
+        lines.push(` ${ratio || cents.toFixed(6)}`);
+    });
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Write a Scala .kbm file with a linear mapping rooted at a frequency
+ *
+ * MIDI note `middleNote` plays degree 0 at `rootFreq`; every key above it plays
+ * the next degree.
+ *
+ * @param {number} size - Number of degrees per equave
+ * @param {number} rootFreq - Frequency of degree 0 in Hz
+ * @param {number} [middleNote=60] - MIDI note that plays degree 0
+ * @returns {string} File contents
+ */
+export function formatKbm(size, rootFreq, middleNote = 60) {
+    const lines = [
+        "! Linear keyboard mapping",
+        "! Map size",
+        `${size}`,
+        "! First and last MIDI note to retune",
+        "0",
+        "127",
+        "! Middle note (degree 0)",
+        `${middleNote}`,
+        "! Reference note and frequency",
+        `${middleNote}`,
+        `${rootFreq.toFixed(6)}`,
+        "! Formal octave degree",
+        `${size}`,
+        "! Mapping",
+    ];
+    for (let i = 0; i < size; i++) {
+        lines.push(`${i}`);
+    }
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Frequency of every MIDI note for a set of degrees repeated at the equave
+ *
+ * @param {Array<{cents: number}>} degrees - Degrees above 1/1, ending with the equave
+ * @param {number} rootFreq - Frequency of degree 0 in Hz
+ * @param {number} [middleNote=60] - MIDI note that plays degree 0
+ * @returns {number[]} 128 frequencies, one per MIDI note
+ */
+export function midiNoteFrequencies(degrees, rootFreq, middleNote = 60) {
+    const size = degrees.length;
+    const equaveCents = degrees[size - 1].cents;
+    const centsOf = (degree) => (degree === 0 ? 0 : degrees[degree - 1].cents);
+
+    const frequencies = [];
+    for (let note = 0; note < 128; note++) {
+        const offset = note - middleNote;
+        const equaves = Math.floor(offset / size);
+        const degree = offset - equaves * size;
+        frequencies.push(rootFreq * centsToRatio(centsOf(degree) + equaves * equaveCents));
+    }
+    return frequencies;
+}
+
+/**
+ * Write an AnaMark .tun file
+ *
+ * Includes both the integer [Tuning] section (for older readers) and the
+ * [Exact Tuning] section, in cents above MIDI note 0 at 8.1757989156 Hz.
+ *
+ * @param {string} name - Tuning name
+ * @param {number[]} frequencies - 128 frequencies, one per MIDI note
+ * @returns {string} File contents
+ */
+export function formatTun(name, frequencies) {
+    const baseFreq = 8.1757989156;
+    const cents = frequencies.map((freq) => ratioToCents(freq / baseFreq));
+
+    const lines = [
+        `; ${name}`,
+        "[Scale Begin]",
+        'Format= "AnaMark-TUN"',
+        "FormatVersion= 200",
+        'FormatSpecs= "http://www.mark-henning.de/eternity/tuningspecs.html"',
+        "",
+        "[Info]",
+        `Name= "${name.replace(/"/g, "'")}"`,
+        "",
+        "[Tuning]",
+    ];
+    cents.forEach((value, note) => lines.push(`note ${note}= ${Math.round(value)}`));
+    lines.push("", "[Exact Tuning]", `BaseFreq= ${baseFreq}`);
+    cents.forEach((value, note) => lines.push(`note ${note}= ${value.toFixed(6)}`));
+    lines.push("", "[Scale End]");
+    return lines.join("\n") + "\n";
+}
@@ -1,4 +1,6 @@
 // UI utility functions and DOM manipulation
+import { analyzeRhythm, normalizedEvenness, patternToString } from './rhythm-analysis.js';
+import { edoNoteNames, edoStepName, nearestEdoStep } from './note-names.js';
 
 export function populateMidiDropdown() {
     const noteNames = [
@@ -30,7 +32,24 @@ export function populateMidiDropdown() {
     select.value = "60";
 }
 
-export function displayColumn(columnId, frequencies, activeIndices, playNote) {
+// Root names for an EDO from C1 to C7, selecting the step nearest the given frequency
+export function populateRootNameDropdown(edo, freq) {
+    const names = edoNoteNames(edo);
+    const select = document.getElementById("rootName");
+    select.innerHTML = "";
+
+    for (let step = -3 * edo; step <= 3 * edo; step++) {
+        const option = document.createElement("option");
+        option.value = step;
+        option.textContent = edoStepName(step, edo, names);
+        select.appendChild(option);
+    }
+
+    const nearest = Math.max(-3 * edo, Math.min(3 * edo, nearestEdoStep(freq, edo)));
+    select.value = nearest;
+}
+
+export function displayColumn(columnId, frequencies, activeIndices, playNote, labels = null, onToneClick = null) {
     const container = document.getElementById(columnId);
     container.innerHTML = "";
 
@@ -60,6 +79,14 @@ export function displayColumn(columnId, frequencies, activeIndices, playNote) {
         const dot = document.createElement("div");
         dot.className = "tone-dot";
 
+        // Optional per-tone label (e.g. ratio or cents of a base degree)
+        if (labels && labels[index]) {
+            const labelSpan = document.createElement("span");
+            labelSpan.className = "tone-label";
+            labelSpan.textContent = labels[index];
+            item.appendChild(labelSpan);
+        }
+
         item.appendChild(freqSpan);
         item.appendChild(dot);
 
@@ -75,6 +102,7 @@ export function displayColumn(columnId, frequencies, activeIndices, playNote) {
                 gain.gain.exponentialRampToValueAtTime(0.01, window.audioContext.currentTime + 0.2);
                 osc.start();
                 osc.stop(window.audioContext.currentTime + 0.2);
+                if (onToneClick) onToneClick(freq);
             };
         }
 
@@ -82,6 +110,121 @@ export function displayColumn(columnId, frequencies, activeIndices, playNote) {
     });
 }
 
+// List enumerated necklaces; clicking one passes its pattern string to onSelect
+export function displayNecklaceList(containerId, necklaces, activeNecklace, onSelect) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = "";
+
+    if (necklaces.length === 0) {
+        container.textContent = "no matching necklaces";
+        return;
+    }
+
+    necklaces.forEach((pattern) => {
+        const necklace = patternToString(pattern);
+        const item = document.createElement("div");
+        item.className = "necklace-item";
+        if (necklace === activeNecklace) {
+            item.classList.add("active");
+        }
+        item.textContent = necklace;
+
+        const evennessSpan = document.createElement("span");
+        evennessSpan.className = "necklace-evenness";
+        evennessSpan.textContent = normalizedEvenness(pattern).toFixed(3);
+        item.appendChild(evennessSpan);
+
+        item.onclick = () => onSelect(necklace);
+        container.appendChild(item);
+    });
+}
+
+// List ranked EDO/rotation combinations; clicking one passes it to onSelect
+export function displayConsonanceRanking(containerId, results, onSelect) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = "";
+
+    if (results.length === 0) {
+        container.textContent = "no combinations fit the current scale size";
+        return;
+    }
+
+    results.forEach((result) => {
+        const item = document.createElement("div");
+        item.className = "necklace-item";
+        item.textContent = `${result.edo}edo s${result.scaleRotation} c${result.chordRotation}`;
+        item.title = `steps ${result.chordIndices.join(" ")}, mean error ${result.meanError.toFixed(1)}¢`;
+
+        const scoreSpan = document.createElement("span");
+        scoreSpan.className = "necklace-evenness";
+        scoreSpan.textContent = result.score.toFixed(2);
+        item.appendChild(scoreSpan);
+
+        item.onclick = () => onSelect(result);
+        container.appendChild(item);
+    });
+}
+
+// List parameter combinations found by the reverse-lookup solver; clicking one passes it to onSelect
+export function displaySolverResults(containerId, results, onSelect) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = "";
+
+    if (results.length === 0) {
+        container.textContent = "no combination reproduces this pitch set";
+        return;
+    }
+
+    results.forEach((result) => {
+        const item = document.createElement("div");
+        item.className = "necklace-item";
+        let text = `${result.edo}edo ${result.scaleNotes}r${result.scaleRotation}`;
+        if (result.stage === "chord") {
+            text += ` ${result.chordNotes}r${result.chordRotation}`;
+        }
+        item.textContent = text;
+
+        const errorSpan = document.createElement("span");
+        errorSpan.className = "necklace-evenness";
+        errorSpan.textContent = `±${result.error.toFixed(1)}¢`;
+        item.appendChild(errorSpan);
+
+        item.onclick = () => onSelect(result);
+        container.appendChild(item);
+    });
+}
+
+// Save generated text as a file download
+export function downloadTextFile(filename, text, mimeType = "text/plain") {
+    const blob = new Blob([text], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Compact analysis readout for a boolean lane
+function formatLaneAnalysis(name, pattern) {
+    if (!pattern || pattern.length === 0) return '';
+    const analysis = analyzeRhythm(pattern);
+    const title = `necklace ${analysis.necklace} | interval vector [${analysis.intervalVector.join(' ')}]`;
+    return `<span class="lane-analysis" title="${title}">` +
+        `${name} ${analysis.pulses}/${analysis.steps} ` +
+        `E ${analysis.normalizedEvenness.toFixed(2)} ` +
+        `K ${analysis.keith} ` +
+        `WNBD ${analysis.wnbd.toFixed(2)}` +
+        `${analysis.deep ? ' deep' : ''}</span>`;
+}
+
+// The playhead shows while playing, and stays put while paused
+function isShowingPosition(appState) {
+    return appState.playback.isPlaying || appState.playback.isPaused;
+}
+
 // Sequence visualization function (moved from state.js)
 export function updateSequenceVisualization(appState) {
     const container = document.querySelector(".sequence-visualization");
@@ -131,7 +274,7 @@ export function updateSequenceVisualization(appState) {
         const currentPhonemeStep = appState.playback.phonemePattern.currentStep;
         for (let i = 0; i < phonemeLength; i++) {
             const vowel = appState.playback.phonemePattern.vowels[i];
-            const isCurrent = appState.playback.isPlaying && i === currentPhonemeStep;
+            const isCurrent = isShowingPosition(appState) && i === currentPhonemeStep;
             
             html += `<td class="phoneme-cell ${isCurrent ? "current-column" : ""}">`;
             html += `<div class="phoneme-vowel ${isCurrent ? "current-phoneme" : ""}">${vowel}</div>`;
@@ -145,7 +288,10 @@ export function updateSequenceVisualization(appState) {
 
     // Create note sequence grid table
     const noteLength = appState.playback.sequencePattern.steps.length;
-    html += `<div class="sequence-section-label">note</div>`;
+    html += `<div class="sequence-section-label">note` +
+        formatLaneAnalysis('rhythm', appState.playback.sequencePattern.rhythm) +
+        formatLaneAnalysis('porta', appState.playback.sequencePattern.portamento) +
+        `</div>`;
     html += '<table class="sequence-grid note-sequence">';
 
     // Step headers row
@@ -155,7 +301,7 @@ export function updateSequenceVisualization(appState) {
         i < appState.playback.sequencePattern.steps.length;
         i++
     ) {
-        html += `<td class="step-header">${i + 1}</td>`;
+        html += `<td class="step-header" data-step="${i}">${i + 1}</td>`;
     }
     html += "</tr>";
 
@@ -169,7 +315,7 @@ export function updateSequenceVisualization(appState) {
         const isActive = appState.playback.sequencePattern.portamento[i];
         const isCurrent =
             i === appState.playback.sequencePattern.currentStep;
-        html += `<td class="porta-cell ${isCurrent ? "current-column" : ""}">`;
+        html += `<td class="porta-cell ${isCurrent ? "current-column" : ""}" data-step="${i}">`;
         if (isActive) {
             html += '<div class="porta-active"></div>';
         }
@@ -187,11 +333,11 @@ export function updateSequenceVisualization(appState) {
         ) {
             const isActive =
                 appState.playback.sequencePattern.steps[i] === freq;
-            // Only highlight current step if playing
+            // Only highlight current step if playing or paused
             const isCurrent =
-                appState.playback.isPlaying &&
+                isShowingPosition(appState) &&
                 i === appState.playback.sequencePattern.currentStep;
-            html += `<td class="note-cell ${isCurrent ? "current-column" : ""}">`;
+            html += `<td class="note-cell ${isCurrent ? "current-column" : ""}" data-step="${i}">`;
             if (isActive) {
                 html += `<div class="active-note ${isCurrent ? "current-note" : ""}"></div>`;
             }